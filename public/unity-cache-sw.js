@@ -0,0 +1,133 @@
+// Service worker that caches Unity WebGL build files, keyed by build version.
+// Registered by src/unity/unityAssetCache.js; only the URLs the page configures are
+// handled, everything else goes to the network untouched. Configured URLs should keep
+// Unity's build file names (see BUILD_FILE): after the browser restarts the worker, only
+// those make it read its config back.
+//
+// Caches are named `unity-build:<build>:<version>`. Configuring a new version of a
+// build deletes the caches of its older versions.
+
+const CACHE_PREFIX = 'unity-build:';
+const CONFIG_CACHE = 'unity-build-config';
+const CONFIG_KEY = '/__unity-build-config';
+// names of the files a Unity WebGL build is made of (loader, framework, data, code),
+// optionally compressed
+const BUILD_FILE = /\.(loader\.js|framework\.js|data|wasm)(\.(gz|br|unityweb))?$/;
+
+// build name -> { version, cacheName, urls: string[] }
+let builds = null;
+
+function normalize(url) {
+  const u = new URL(url, self.location.href);
+  u.hash = '';
+  return u.href;
+}
+
+async function loadBuilds() {
+  if (builds) return builds;
+  try {
+    const cache = await caches.open(CONFIG_CACHE);
+    const response = await cache.match(CONFIG_KEY);
+    builds = response ? await response.json() : {};
+  } catch {
+    builds = {};
+  }
+  return builds;
+}
+
+async function saveBuilds() {
+  const cache = await caches.open(CONFIG_CACHE);
+  await cache.put(CONFIG_KEY, new Response(JSON.stringify(builds), { headers: { 'Content-Type': 'application/json' } }));
+}
+
+async function configure({ build, version, urls }) {
+  await loadBuilds();
+  const cacheName = `${CACHE_PREFIX}${build}:${version}`;
+  builds[build] = { version, cacheName, urls: urls.map(normalize) };
+  await saveBuilds();
+
+  const evicted = [];
+  for (const name of await caches.keys()) {
+    if (name.startsWith(`${CACHE_PREFIX}${build}:`) && name !== cacheName) {
+      await caches.delete(name);
+      evicted.push(name.slice(`${CACHE_PREFIX}${build}:`.length));
+    }
+  }
+  return { cacheName, evicted };
+}
+
+async function clearAll() {
+  for (const name of await caches.keys()) {
+    if (name.startsWith(CACHE_PREFIX)) await caches.delete(name);
+  }
+  builds = {};
+  await saveBuilds();
+}
+
+async function report(clientId, message) {
+  if (!clientId) return;
+  const client = await self.clients.get(clientId);
+  if (client) client.postMessage({ source: 'unity-cache', ...message });
+}
+
+function responseSize(response) {
+  const length = Number(response.headers.get('Content-Length'));
+  return Number.isFinite(length) ? length : null;
+}
+
+async function handleFetch(event, entry) {
+  const url = normalize(event.request.url);
+  const cache = await caches.open(entry.cacheName);
+  const cached = await cache.match(url);
+  if (cached) {
+    report(event.clientId, { type: 'hit', url, version: entry.version, bytes: responseSize(cached) });
+    return cached;
+  }
+  const response = await fetch(event.request);
+  if (response.ok && response.status === 200) {
+    // cache a copy while the original streams to the page
+    event.waitUntil(cache.put(url, response.clone()).catch(() => { }));
+  }
+  report(event.clientId, { type: 'miss', url, version: entry.version, bytes: responseSize(response), status: response.status });
+  return response;
+}
+
+self.addEventListener('install', () => {
+  self.skipWaiting();
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(self.clients.claim());
+});
+
+self.addEventListener('message', (event) => {
+  const data = event.data || {};
+  const port = event.ports && event.ports[0];
+  const respond = (message) => { if (port) port.postMessage(message); };
+  let task = null;
+  if (data.type === 'unity-cache:configure') task = configure(data);
+  else if (data.type === 'unity-cache:clear') task = clearAll();
+  if (!task) return;
+  event.waitUntil(task
+    .then((result) => respond({ ok: true, ...result }))
+    .catch((err) => respond({ ok: false, error: String(err && err.message ? err.message : err) })));
+});
+
+self.addEventListener('fetch', (event) => {
+  if (event.request.method !== 'GET') return;
+  // the build list is in memory unless the worker was restarted; only then is the
+  // config read back (synchronously deciding whether to respond isn't possible then),
+  // and only for requests that look like build files
+  if (builds) {
+    const url = normalize(event.request.url);
+    const entry = Object.values(builds).find((b) => b.urls.includes(url));
+    if (entry) event.respondWith(handleFetch(event, entry));
+    return;
+  }
+  if (!BUILD_FILE.test(new URL(event.request.url).pathname)) return;
+  event.respondWith(loadBuilds().then((all) => {
+    const url = normalize(event.request.url);
+    const entry = Object.values(all).find((b) => b.urls.includes(url));
+    return entry ? handleFetch(event, entry) : fetch(event.request);
+  }));
+});
@@ -0,0 +1,253 @@
+// Generates the Unity bridge code described by src/unity/unity.contract.json.
+//
+//   npm run contract:generate   rewrite the generated files
+//   npm run contract:check      exit 1 if any generated file is out of date (for CI)
+//
+// Outputs:
+// - the block between the `<generated>` markers in src/unity/UnityMessage.jslib: one function
+//   per inbound message with a `jslib` name, dispatching it through ReactBridge
+// - src/unity/unityMessages.js: `on<Type>(handler, options)` per inbound message and
+//   `send<Name>(payload, options)` per outbound message, wrapping unityEventBus / unityApi
+// - src/unity/unityMessages.d.ts: payload types and signatures for those wrappers
+//
+// Contract entries:
+//   inbound.<Type>          { description, jslib?, payload }  `jslib` omitted = hand-written
+//   outbound.<Object.Method> { description, name?, wrapper?, payload }  `wrapper: false` = no
+//                             wrapper (sent by unityApi itself); `name` defaults to the method
+
+import { readFileSync, writeFileSync } from 'node:fs';
+import { dirname, join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const root = join(dirname(fileURLToPath(import.meta.url)), '..');
+const CONTRACT = 'src/unity/unity.contract.json';
+const JSLIB = 'src/unity/UnityMessage.jslib';
+const WRAPPERS = 'src/unity/unityMessages.js';
+const TYPINGS = 'src/unity/unityMessages.d.ts';
+
+const BEGIN_MARKER = '  // <generated> from unity.contract.json by `npm run contract:generate`; do not edit by hand';
+const END_MARKER = '  // </generated>';
+const HEADER = `// Generated from ${CONTRACT} by \`npm run contract:generate\`. Do not edit by hand.`;
+
+const IDENTIFIER = /^[A-Za-z_$][\w$]*$/;
+
+function fail(message) {
+    console.error(`[contract] ${message}`);
+    process.exit(1);
+}
+
+function pascal(name) {
+    return name.charAt(0).toUpperCase() + name.slice(1);
+}
+
+function camel(name) {
+    return name.charAt(0).toLowerCase() + name.slice(1);
+}
+
+function readContract() {
+    let contract;
+    try {
+        contract = JSON.parse(readFileSync(join(root, CONTRACT), 'utf8'));
+    } catch (err) {
+        fail(`cannot read ${CONTRACT}: ${err.message}`);
+    }
+
+    const inbound = Object.entries(contract.inbound || {}).map(([type, entry]) => {
+        if (!IDENTIFIER.test(type)) fail(`inbound type "${type}" is not a valid identifier`);
+        if (entry.jslib !== undefined && !IDENTIFIER.test(entry.jslib)) fail(`inbound ${type}: invalid jslib name "${entry.jslib}"`);
+        return { type, ...entry, payload: entry.payload || {} };
+    });
+
+    const outbound = Object.entries(contract.outbound || {}).map(([key, entry]) => {
+        const [objectName, methodName, ...rest] = key.split('.');
+        if (!objectName || !methodName || rest.length > 0) fail(`outbound "${key}" must be "Object.Method"`);
+        const name = entry.name || camel(methodName);
+        if (!IDENTIFIER.test(name)) fail(`outbound ${key}: invalid name "${name}"`);
+        return { key, objectName, methodName, name, ...entry, payload: entry.payload || {} };
+    });
+
+    const seen = new Set();
+    for (const fn of [...inbound.map((m) => `on${m.type}`), ...outbound.filter((m) => m.wrapper !== false).map((m) => `send${pascal(m.name)}`)]) {
+        if (seen.has(fn)) fail(`two contract entries generate ${fn}()`);
+        seen.add(fn);
+    }
+    return { inbound, outbound };
+}
+
+// --- jslib -------------------------------------------------------------------------------
+
+function jslibBlock({ inbound }) {
+    const lines = [BEGIN_MARKER];
+    for (const message of inbound.filter((m) => m.jslib)) {
+        const takesPayload = message.payload.type !== 'null';
+        lines.push('');
+        lines.push(`  // ${message.type}${message.description ? `: ${message.description}` : ''}`);
+        if (takesPayload) lines.push('  // jsonPtr is a pointer to a UTF8 C-string containing the JSON payload');
+        lines.push(`  ${message.jslib}__deps: ['$ReactBridge'],`);
+        lines.push(`  ${message.jslib}: function (${takesPayload ? 'jsonPtr' : ''}) {`);
+        lines.push(`    ReactBridge.dispatch('${message.type}', ${takesPayload ? 'UTF8ToString(jsonPtr)' : 'null'});`);
+        lines.push('  },');
+    }
+    lines.push('', END_MARKER);
+    return lines.join('\n');
+}
+
+function renderJslib(contract, current) {
+    const begin = current.indexOf(BEGIN_MARKER);
+    const end = current.indexOf(END_MARKER);
+    if (begin === -1 || end === -1 || end < begin) fail(`${JSLIB} is missing the <generated> markers`);
+    return current.slice(0, begin) + jslibBlock(contract) + current.slice(end + END_MARKER.length);
+}
+
+// --- JS wrappers -------------------------------------------------------------------------
+
+function renderWrappers({ inbound, outbound }) {
+    const out = [
+        HEADER,
+        '',
+        "import unityApi from './unityApi';",
+        "import eventBus from './unityEventBus';",
+        '',
+        '/** Inbound message types (Unity → React). */',
+        'export const INBOUND = Object.freeze({',
+        ...inbound.map((m) => `    ${m.type}: '${m.type}',`),
+        '});',
+        '',
+        '/** Outbound messages (React → Unity) as `{ objectName, methodName }`. */',
+        'export const OUTBOUND = Object.freeze({',
+        ...outbound.map((m) => `    '${m.key}': Object.freeze({ objectName: '${m.objectName}', methodName: '${m.methodName}' }),`),
+        '});',
+    ];
+
+    for (const message of inbound) {
+        out.push(
+            '',
+            '/**',
+            ...(message.description ? [` * ${message.description}`, ' *'] : []),
+            ` * @param {function(${message.type}Payload, Object):void} handler - called with (payload, meta)`,
+            ' * @param {Object} [options] - `{ instanceId }` to listen to one Unity instance only',
+            ' * @returns {function():void} unsubscribe function',
+            ' */',
+            `export function on${message.type}(handler, options) {`,
+            `    return eventBus.subscribe('${message.type}', handler, options);`,
+            '}',
+        );
+    }
+
+    for (const message of outbound.filter((m) => m.wrapper !== false)) {
+        out.push(
+            '',
+            '/**',
+            ...(message.description ? [` * ${message.description}`] : []),
+            ` * Sends ${message.key}.`,
+            ' *',
+            ` * @param {${pascal(message.name)}Payload} payload`,
+            ' * @param {boolean|Object} [options] - see `unityApi.send`',
+            ' * @returns {boolean} true if the message was sent or queued',
+            ' */',
+            `export function send${pascal(message.name)}(payload, options = true) {`,
+            `    return unityApi.send(payload, '${message.objectName}', '${message.methodName}', options);`,
+            '}',
+        );
+    }
+    return out.join('\n') + '\n';
+}
+
+// --- typings -----------------------------------------------------------------------------
+
+function tsType(schema, indent) {
+    if (!schema || typeof schema !== 'object') return 'unknown';
+    if ('const' in schema) return JSON.stringify(schema.const);
+    if (Array.isArray(schema.enum)) return schema.enum.map((v) => JSON.stringify(v)).join(' | ');
+    if (Array.isArray(schema.type)) return schema.type.map((t) => tsType({ ...schema, type: t }, indent)).join(' | ');
+    switch (schema.type) {
+        case 'null': return 'null';
+        case 'string': return 'string';
+        case 'number':
+        case 'integer': return 'number';
+        case 'boolean': return 'boolean';
+        case 'array': {
+            const item = tsType(schema.items, indent);
+            return item.includes(' ') ? `Array<${item}>` : `${item}[]`;
+        }
+        case 'object': {
+            const properties = Object.entries(schema.properties || {});
+            if (properties.length === 0) return 'Record<string, unknown>';
+            const required = new Set(schema.required || []);
+            const inner = indent + '    ';
+            const fields = properties.map(([key, value]) => {
+                const name = IDENTIFIER.test(key) ? key : JSON.stringify(key);
+                return `${inner}${name}${required.has(key) ? '' : '?'}: ${tsType(value, inner)};`;
+            });
+            return `{\n${fields.join('\n')}\n${indent}}`;
+        }
+        default: return 'unknown';
+    }
+}
+
+function renderTypings({ inbound, outbound }) {
+    const out = [
+        HEADER,
+        '',
+        'export type UnityMessageMeta = { instanceId?: string; [key: string]: unknown };',
+        'export type UnitySubscribeOptions = { instanceId?: string | null };',
+        'export type UnitySendOptions = boolean | Record<string, unknown>;',
+        '',
+    ];
+    for (const message of inbound) out.push(`export type ${message.type}Payload = ${tsType(message.payload, '')};`, '');
+    for (const message of outbound.filter((m) => m.wrapper !== false)) out.push(`export type ${pascal(message.name)}Payload = ${tsType(message.payload, '')};`, '');
+
+    out.push(
+        'export declare const INBOUND: {',
+        ...inbound.map((m) => `    readonly ${m.type}: '${m.type}';`),
+        '};',
+        '',
+        'export declare const OUTBOUND: {',
+        ...outbound.map((m) => `    readonly '${m.key}': { readonly objectName: '${m.objectName}'; readonly methodName: '${m.methodName}' };`),
+        '};',
+        '',
+    );
+    for (const message of inbound) {
+        out.push(`export declare function on${message.type}(handler: (payload: ${message.type}Payload, meta: UnityMessageMeta) => void, options?: UnitySubscribeOptions): () => void;`);
+    }
+    for (const message of outbound.filter((m) => m.wrapper !== false)) {
+        out.push(`export declare function send${pascal(message.name)}(payload: ${pascal(message.name)}Payload, options?: UnitySendOptions): boolean;`);
+    }
+    return out.join('\n') + '\n';
+}
+
+// --- main --------------------------------------------------------------------------------
+
+const check = process.argv.includes('--check');
+const contract = readContract();
+const read = (file) => {
+    try {
+        return readFileSync(join(root, file), 'utf8');
+    } catch {
+        return null;
+    }
+};
+
+const jslib = read(JSLIB);
+if (jslib === null) fail(`cannot read ${JSLIB}`);
+
+const outputs = [
+    [JSLIB, renderJslib(contract, jslib)],
+    [WRAPPERS, renderWrappers(contract)],
+    [TYPINGS, renderTypings(contract)],
+];
+
+const stale = outputs.filter(([file, content]) => read(file) !== content);
+if (check) {
+    if (stale.length > 0) {
+        for (const [file] of stale) console.error(`[contract] ${file} does not match ${CONTRACT}`);
+        fail('run `npm run contract:generate` and commit the result');
+    }
+    console.log('[contract] generated files are up to date');
+} else {
+    for (const [file, content] of stale) {
+        writeFileSync(join(root, file), content);
+        console.log(`[contract] wrote ${file}`);
+    }
+    if (stale.length === 0) console.log('[contract] nothing to update');
+}
@@ -0,0 +1,88 @@
+// Local mock of the game result backend, for trying out result submission and retries.
+//
+//   npm run mock:results -- [--port 8787] [--fail-rate 0.5] [--status 503] [--delay 0]
+//
+// Then start the app with VITE_RESULTS_ENDPOINT=http://localhost:8787/results.
+// - POST /results   stores a result; repeated Idempotency-Key values are answered with the
+//                   stored response instead of storing the result twice
+// - GET /results    lists what was received
+// - DELETE /results forgets everything
+// `--fail-rate` answers that share of POSTs with `--status` (default 503) to exercise retries.
+
+import { createServer } from "node:http";
+
+function arg(name, fallback) {
+  const index = process.argv.indexOf(`--${name}`);
+  return index !== -1 && process.argv[index + 1] !== undefined ? process.argv[index + 1] : fallback;
+}
+
+const port = Number(arg("port", 8787));
+const failRate = Number(arg("fail-rate", 0));
+const failStatus = Number(arg("status", 503));
+const delay = Number(arg("delay", 0));
+
+const results = [];
+const byIdempotencyKey = new Map();
+
+const CORS_HEADERS = {
+  "Access-Control-Allow-Origin": "*",
+  "Access-Control-Allow-Methods": "GET, POST, DELETE, OPTIONS",
+  "Access-Control-Allow-Headers": "Content-Type, Idempotency-Key",
+};
+
+function send(res, status, body, headers = {}) {
+  res.writeHead(status, { ...CORS_HEADERS, "Content-Type": "application/json", ...headers });
+  res.end(body === undefined ? "" : JSON.stringify(body));
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let data = "";
+    req.on("data", (chunk) => { data += chunk; });
+    req.on("end", () => resolve(data));
+    req.on("error", reject);
+  });
+}
+
+const server = createServer(async (req, res) => {
+  const { pathname } = new URL(req.url, `http://localhost:${port}`);
+  if (req.method === "OPTIONS") return send(res, 204);
+  if (pathname !== "/results") return send(res, 404, { error: "Not found" });
+
+  if (req.method === "GET") return send(res, 200, results);
+  if (req.method === "DELETE") {
+    results.length = 0;
+    byIdempotencyKey.clear();
+    return send(res, 204);
+  }
+  if (req.method !== "POST") return send(res, 405, { error: "Method not allowed" });
+
+  if (delay > 0) await new Promise((r) => setTimeout(r, delay));
+
+  const key = req.headers["idempotency-key"];
+  if (key && byIdempotencyKey.has(key)) {
+    console.log(`duplicate ${key}, replaying stored response`);
+    return send(res, 200, byIdempotencyKey.get(key), { "Idempotent-Replayed": "true" });
+  }
+  if (Math.random() < failRate) {
+    console.log(`failing ${key || "(no key)"} with ${failStatus}`);
+    return send(res, failStatus, { error: "Simulated failure" });
+  }
+
+  let result;
+  try {
+    result = JSON.parse(await readBody(req));
+  } catch {
+    return send(res, 400, { error: "Invalid JSON" });
+  }
+  const stored = { ...result, storedAt: Date.now() };
+  results.push(stored);
+  const response = { ok: true, id: result.id };
+  if (key) byIdempotencyKey.set(key, response);
+  console.log(`stored ${result.id} (user ${result.userId})`);
+  return send(res, 201, response);
+});
+
+server.listen(port, () => {
+  console.log(`Mock results server on http://localhost:${port}/results (fail rate ${failRate})`);
+});
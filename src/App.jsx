@@ -1,6 +1,14 @@
 import { BrowserRouter as Router, Routes, Route, Link } from "react-router-dom";
 import UnityPage from "./pages/UnityPage";
 import ResultPage from "./pages/ResultsPage";
+import UnityPlayerHost from "./components/unity/UnityPlayerHost";
+import { PLAYER_POLICIES } from "./components/unity/unityPlayerContext";
+import GameSession from "./components/GameSession";
+
+// What the Unity player does on routes that don't show it (see UnityPlayerHost)
+const playerPolicies = {
+  "/result": PLAYER_POLICIES.PAUSE,
+};
 
 export default function App() {
   return (
@@ -10,10 +18,15 @@ export default function App() {
         <nav>
           <Link to="/">Play</Link> | <Link to="/result">Result</Link>
         </nav>
-        <Routes>
-          <Route path="/" element={<UnityPage />} />
-          <Route path="/result" element={<ResultPage />} />
-        </Routes>
+        {/* The player lives above the routes so navigating doesn't reload the build */}
+        <UnityPlayerHost manifestUrl="/Build/UnityGame.manifest.json" policies={playerPolicies}>
+          {/* Starts rounds and records results for as long as the player lives */}
+          <GameSession />
+          <Routes>
+            <Route path="/" element={<UnityPage />} />
+            <Route path="/result" element={<ResultPage />} />
+          </Routes>
+        </UnityPlayerHost>
       </div>
     </Router>
   );
@@ -0,0 +1,51 @@
+import { useEffect, useRef } from 'react';
+import { useUnityPlayer } from './unity/unityPlayerContext';
+import { useGameResult } from '../data/GameResultContext';
+import { INBOUND, sendStartRound } from '../unity/unityMessages';
+import { useUnityEvent, useUnityStatus } from '../unity/unityHooks';
+
+/**
+ * The demo's round logic, rendered inside <UnityPlayerHost> next to the routes so it lives
+ * as long as the persistent player: a round still running when the user leaves the game view
+ * isn't restarted on the way back, and results arriving off-page are still recorded.
+ */
+export default function GameSession() {
+    const { attached } = useUnityPlayer();
+    const { ready } = useUnityStatus();
+    const { setGameResult } = useGameResult();
+    // a round is running in the player
+    const roundRef = useRef(false);
+
+    // Start a round when the game view is shown and no round is running
+    useEffect(() => {
+        // a reloaded build starts without a round
+        if (!ready) {
+            roundRef.current = false;
+            return;
+        }
+        // StrictMode runs this effect twice on mount; send once
+        if (!attached || roundRef.current) return;
+        roundRef.current = true;
+
+        const payload = {
+            timestamp: Date.now(),
+            action: 'startRound',
+            data: { difficulty: 'easy' },
+            userData: {
+                userId: 'user-123',
+                userName: 'User',
+            },
+        };
+
+        // Sends JSEventManager.OnStartRound, as declared in unity.contract.json
+        sendStartRound(payload);
+    }, [ready, attached]);
+
+    // the round is over once Unity reports its result
+    useUnityEvent(INBOUND.GameResult, (result) => {
+        roundRef.current = false;
+        setGameResult(result);
+    });
+
+    return null;
+}
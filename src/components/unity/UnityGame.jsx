@@ -1,7 +1,37 @@
-import { useEffect, useRef, useState } from "react";
-import useUnityLoader from "../../unity/useUnityLoader";
+import { useEffect, useImperativeHandle, useRef, useState } from "react";
+import useUnityLoader, { LOADING_STATES } from "../../unity/useUnityLoader";
+import useCrashRecovery from "../../unity/useCrashRecovery";
 import UnityOverlay from "./UnityOverlay";
-import unityBridge from "../../unity/unityBridge";
+import unityBridge, { DEFAULT_INSTANCE_ID } from "../../unity/unityBridge";
+import unityApi from "../../unity/unityApi";
+import unityStatus from "../../unity/unityStatus";
+
+// keep the historical element ids for the default instance; suffix the others so ids stay unique
+function domId(base, instanceId) {
+    return instanceId === DEFAULT_INSTANCE_ID ? base : `${base}-${instanceId}`;
+}
+
+function fullscreenElement() {
+    return document.fullscreenElement || document.webkitFullscreenElement || null;
+}
+
+function cappedPixelRatio(max) {
+    const dpr = window.devicePixelRatio || 1;
+    return max ? Math.min(dpr, max) : dpr;
+}
+
+// Largest size with the given aspect ratio that fits the container width and the viewport height
+function fitSize(container, aspectRatio) {
+    const fullscreen = fullscreenElement() === container;
+    let width = container.clientWidth;
+    let height = width / aspectRatio;
+    const maxHeight = fullscreen ? container.clientHeight : window.innerHeight;
+    if (height > maxHeight) {
+        height = maxHeight;
+        width = height * aspectRatio;
+    }
+    return { width: Math.floor(width), height: Math.floor(height) };
+}
 
 export default function UnityGame({
     canvasStyle = { width: 960, height: 600, background: '#000' },
@@ -10,11 +40,40 @@ export default function UnityGame({
     frameworkUrl = '/Build/UnityGame.framework.js',
     codeUrl = '/Build/UnityGame.wasm',
     loaderSrc = '/Build/UnityGame.loader.js',
+    manifestUrl,
+    instanceId = DEFAULT_INSTANCE_ID,
+    createUnityInstance,
+    cacheVersion,
+    preflight,
+    loadTimeouts,
+    loadRetries,
+    sizing = 'fixed',
+    aspectRatio = 960 / 600,
+    maxDevicePixelRatio,
+    onFullscreenChange,
+    paused = false,
+    muted = false,
+    autoPause = true,
+    onPauseChange,
+    recovery = false,
+    onRecovery,
+    ref,
 }) {
 
     // unity instance is provided by the loader hook (loadedInstance)
     const [unityReady, setUnityReady] = useState(false);
     const unityCanvasRef = useRef(null);
+    const containerRef = useRef(null);
+    const [fittedSize, setFittedSize] = useState(null);
+    const [isFullscreen, setIsFullscreen] = useState(false);
+    const fullscreenRef = useRef(false);
+    const [pageHidden, setPageHidden] = useState(() => document.visibilityState === 'hidden');
+    const [windowBlurred, setWindowBlurred] = useState(() => !document.hasFocus());
+    // last pause state reported by Unity (ReportPauseStateToJS); null until it reports
+    const [reportedPause, setReportedPause] = useState(null);
+    // what was last sent to this instance, so commands are only sent on changes
+    const sentPauseRef = useRef({ reason: null, muted: false });
+    const pausedRef = useRef(false);
 
     // Track whether UnityReady fired early (we'll consult the loader's createdRef)
     const pendingReadyRef = useRef(false);
@@ -24,12 +83,20 @@ export default function UnityGame({
 
     
     // === Hook: load/create Unity instance ===
-    const { unityInstance: loadedInstance, createdRef: loaderCreatedRef, loadError, reload, loadingState, isLoading, isReady } =
+    const { unityInstance: loadedInstance, createdRef: loaderCreatedRef, loadError, reload, cancel, loadingState, isLoading, isReady, progress, phase, bytes, cacheStats, capabilities, proceed, crash } =
         useUnityLoader(unityCanvasRef, {
             dataUrl,
             frameworkUrl,
             codeUrl,
             loaderSrc,
+            manifestUrl,
+            instanceId,
+            createUnityInstance,
+            cacheVersion,
+            preflight,
+            timeouts: loadTimeouts,
+            retries: loadRetries,
+            devicePixelRatio: maxDevicePixelRatio ? cappedPixelRatio(maxDevicePixelRatio) : undefined,
         });
 
     // === Handle messages FROM Unity to React ===
@@ -43,13 +110,13 @@ export default function UnityGame({
             else pendingReadyRef.current = true;
         };
 
-        unityBridge.registerHandler('UnityReady', handleUnityReady);
+        unityBridge.registerHandler('UnityReady', handleUnityReady, { instanceId });
 
         return () => {
             mountedRef.current = false;
-            unityBridge.unregisterHandler('UnityReady', handleUnityReady);
+            unityBridge.unregisterHandler('UnityReady', handleUnityReady, { instanceId });
         };
-    }, []);
+    }, [instanceId]);
 
 
     // When loader provides an instance, flush any pending UnityReady flag
@@ -59,13 +126,13 @@ export default function UnityGame({
                 setUnityReady(true);
                 pendingReadyRef.current = false;
             }
-            unityBridge.setInstance(loadedInstance);
+            unityBridge.setInstance(loadedInstance, instanceId);
         } else {
             // if instance became null/undefined, clear bridge to avoid stale references
-            unityBridge.clearInstance();
+            unityBridge.clearInstance(instanceId);
             setUnityReady(false);
         }
-    }, [loadedInstance]);
+    }, [loadedInstance, instanceId]);
 
 
     // When we become ready, call onReady
@@ -73,7 +140,7 @@ export default function UnityGame({
         if (!mountedRef.current) return;
         if (loadedInstance && unityReady) {
             if (typeof onReady === 'function') {
-                try { onReady({ unityInstance: loadedInstance }); } catch (e) { /* ignore */ }
+                try { onReady({ unityInstance: loadedInstance, instanceId }); } catch (e) { /* ignore */ }
             }
         }
     }, [loadedInstance, unityReady]);
@@ -95,18 +162,193 @@ export default function UnityGame({
         }
     }, [isLoading, loadError]);
 
+    // === Crash recovery (opt-in): reload with backoff and restore the last UnitySnapshot ===
+    const { recovering, gaveUp, retry } = useCrashRecovery({ recovery, instanceId, crash, loadError, unityReady, reload, onRecovery });
+
+    // A crashed instance can't take messages: queue them for the next one instead
+    useEffect(() => {
+        if (!crash) return;
+        unityBridge.clearInstance(instanceId);
+        setUnityReady(false);
+    }, [crash, instanceId]);
+
+    // Publish loading status for useUnityStatus()
+    useEffect(() => {
+        unityStatus.set(instanceId, { state: loadingState, ready: unityReady, phase, progress, bytes, error: loadError || null, crash });
+    }, [instanceId, loadingState, unityReady, phase, progress, bytes, loadError, crash]);
+
+    useEffect(() => () => unityStatus.clear(instanceId), [instanceId]);
+
+
+
+    // === Sizing: fit the container while keeping the build's aspect ratio ===
+    useEffect(() => {
+        if (sizing !== 'fit' || !containerRef.current) return undefined;
+        const container = containerRef.current;
+        const update = () => {
+            const next = fitSize(container, aspectRatio);
+            setFittedSize((prev) => (prev && prev.width === next.width && prev.height === next.height ? prev : next));
+        };
+        update();
+        const observer = typeof ResizeObserver !== 'undefined' ? new ResizeObserver(update) : null;
+        if (observer) observer.observe(container);
+        window.addEventListener('resize', update);
+        return () => {
+            if (observer) observer.disconnect();
+            window.removeEventListener('resize', update);
+        };
+    }, [sizing, aspectRatio, isFullscreen]);
+
+    // Keep the capped pixel ratio current when the window moves to a screen with another density
+    useEffect(() => {
+        if (!maxDevicePixelRatio || !loadedInstance || !loadedInstance.Module) return undefined;
+        let query = null;
+        const onChange = () => {
+            loadedInstance.Module.devicePixelRatio = cappedPixelRatio(maxDevicePixelRatio);
+            watch();
+        };
+        const watch = () => {
+            if (query) query.removeEventListener('change', onChange);
+            query = window.matchMedia(`(resolution: ${window.devicePixelRatio || 1}dppx)`);
+            query.addEventListener('change', onChange);
+        };
+        onChange();
+        return () => { if (query) query.removeEventListener('change', onChange); };
+    }, [loadedInstance, maxDevicePixelRatio]);
+
+    // === Fullscreen ===
+    useEffect(() => {
+        const onChange = () => {
+            const el = fullscreenElement();
+            const active = Boolean(el && containerRef.current && (el === containerRef.current || containerRef.current.contains(el)));
+            if (fullscreenRef.current === active) return;
+            fullscreenRef.current = active;
+            setIsFullscreen(active);
+            if (typeof onFullscreenChange === 'function') {
+                try { onFullscreenChange({ fullscreen: active, instanceId }); } catch (e) { console.error('onFullscreenChange error', e); }
+            }
+        };
+        document.addEventListener('fullscreenchange', onChange);
+        document.addEventListener('webkitfullscreenchange', onChange);
+        return () => {
+            document.removeEventListener('fullscreenchange', onChange);
+            document.removeEventListener('webkitfullscreenchange', onChange);
+        };
+    }, [onFullscreenChange, instanceId]);
+
+    // === Pause / resume / mute ===
+    // Pause when the `paused` prop is set, the page is hidden or the window loses focus
+    // (each watcher can be turned off with autoPause={{ visibility, focus }} or autoPause={false}).
+    // Paused also means muted.
+    useEffect(() => {
+        const onVisibility = () => setPageHidden(document.visibilityState === 'hidden');
+        const onFocus = () => setWindowBlurred(false);
+        const onBlur = () => setWindowBlurred(true);
+        document.addEventListener('visibilitychange', onVisibility);
+        window.addEventListener('focus', onFocus);
+        window.addEventListener('blur', onBlur);
+        return () => {
+            document.removeEventListener('visibilitychange', onVisibility);
+            window.removeEventListener('focus', onFocus);
+            window.removeEventListener('blur', onBlur);
+        };
+    }, []);
+
+    const watch = autoPause === false ? { visibility: false, focus: false } : { visibility: true, focus: true, ...(typeof autoPause === 'object' ? autoPause : {}) };
+    let pauseReason = null;
+    if (paused) pauseReason = 'prop';
+    else if (watch.visibility && pageHidden) pauseReason = 'hidden';
+    else if (watch.focus && windowBlurred) pauseReason = 'blur';
+    const wantMuted = Boolean(muted) || pauseReason !== null;
+
+    // a new instance starts running and unmuted
+    useEffect(() => {
+        sentPauseRef.current = { reason: null, muted: false };
+        setReportedPause(null);
+    }, [loadedInstance]);
+
+    useEffect(() => {
+        if (!loadedInstance || !unityReady) return;
+        const sent = sentPauseRef.current;
+        const options = { instanceId, queue: false };
+        if (pauseReason !== sent.reason) {
+            if (pauseReason) unityApi.pause(pauseReason, options);
+            else unityApi.resume(sent.reason, options);
+        }
+        if (wantMuted !== sent.muted) unityApi.setMuted(wantMuted, options);
+        sentPauseRef.current = { reason: pauseReason, muted: wantMuted };
+    }, [loadedInstance, unityReady, pauseReason, wantMuted, instanceId]);
+
+    useEffect(() => unityApi.onPauseState((state) => {
+        if (state && typeof state === 'object') setReportedPause({ paused: Boolean(state.paused), muted: Boolean(state.muted) });
+    }, { instanceId }), [instanceId]);
+
+    // Unity's own report wins; until it reports, show what was requested
+    const isPaused = reportedPause ? reportedPause.paused : Boolean(loadedInstance && unityReady && pauseReason);
+    const isMuted = reportedPause ? reportedPause.muted : Boolean(loadedInstance && unityReady && wantMuted);
+    pausedRef.current = isPaused;
+
+    // only report actual changes, not a new callback identity: the report reads the rest from here
+    const pauseReportRef = useRef({ onPauseChange, reason: pauseReason, instanceId });
+    useEffect(() => { pauseReportRef.current = { onPauseChange, reason: pauseReason, instanceId }; });
+
+    useEffect(() => {
+        const { onPauseChange: report, reason, instanceId: id } = pauseReportRef.current;
+        if (typeof report !== 'function') return;
+        try { report({ paused: isPaused, muted: isMuted, reason, instanceId: id }); } catch (e) { console.error('onPauseChange error', e); }
+    }, [isPaused, isMuted]);
+
+    // cancel() changes every render; the handle reads the latest one
+    const cancelRef = useRef(cancel);
+    useEffect(() => { cancelRef.current = cancel; });
+
+    // Controls for parents: <UnityGame ref={gameRef} />, then gameRef.current.fullscreen()
+    useImperativeHandle(ref, () => {
+        // Uses the framework's SetFullscreen (the canvas goes fullscreen) and falls back to
+        // the Fullscreen API on the container before the instance exists.
+        // Browsers only allow this from a user gesture such as a click.
+        const fullscreen = (enable = true) => {
+            if (loadedInstance && typeof loadedInstance.SetFullscreen === 'function') {
+                loadedInstance.SetFullscreen(enable ? 1 : 0);
+                return;
+            }
+            const container = containerRef.current;
+            if (enable && container) {
+                const request = container.requestFullscreen || container.webkitRequestFullscreen;
+                if (request) request.call(container);
+            } else if (!enable && fullscreenElement()) {
+                const exit = document.exitFullscreen || document.webkitExitFullscreen;
+                if (exit) exit.call(document);
+            }
+        };
+        return {
+            instanceId,
+            getInstance: () => loadedInstance,
+            isFullscreen: () => fullscreenRef.current,
+            isPaused: () => pausedRef.current,
+            fullscreen,
+            exitFullscreen: () => fullscreen(false),
+            cancelLoad: () => cancelRef.current(),
+        };
+    }, [instanceId, loadedInstance]);
 
+    const fit = sizing === 'fit';
+    const containerStyle = fit ? { position: 'relative', width: '100%' } : { position: 'relative' };
+    const style = fit
+        ? { ...canvasStyle, display: 'block', margin: '0 auto', width: fittedSize ? fittedSize.width : '100%', height: fittedSize ? fittedSize.height : 'auto' }
+        : canvasStyle;
 
     return (
-        <div id="unity-container" style={{ position: 'relative' }}>
-            <UnityOverlay loadError={loadError} unityReady={unityReady} isLoading={isLoading} isReady={isReady} onRetry={() => {
-                if (typeof reload === 'function') reload();
+        <div id={domId('unity-container', instanceId)} ref={containerRef} style={containerStyle}>
+            <UnityOverlay loadError={loadError} unityReady={unityReady} isLoading={isLoading} isReady={isReady} progress={progress} phase={phase} bytes={bytes} cacheStats={cacheStats} paused={isPaused} pauseReason={pauseReason} blocked={loadingState === LOADING_STATES.BLOCKED} capabilities={capabilities} onProceed={proceed} crash={crash} recovering={recovering} recoveryGaveUp={gaveUp} onRetry={() => {
+                if (crash || recovering) retry();
+                else if (typeof reload === 'function') reload();
                 else window.location.reload();
             }} />
             <canvas
-                id="unity-canvas"
+                id={domId('unity-canvas', instanceId)}
                 ref={unityCanvasRef}
-                style={canvasStyle}
+                style={style}
             />
         </div>
     );
@@ -0,0 +1,258 @@
+import { useEffect, useMemo, useRef, useState } from 'react';
+import unityApi from '../../unity/unityApi';
+import unityRecorder from '../../unity/unityRecorder';
+import './UnityInspector.css';
+
+// Developer panel listing bridge traffic in both directions.
+// Inbound messages come from unityApi.onMessage, outbound ones from unityApi.onOutbound
+// (reported where unityBridge sends, queues, flushes or drops them).
+
+let inboundSeq = 0;
+
+function formatTime(at) {
+    const d = new Date(at);
+    const pad = (n, w = 2) => String(n).padStart(w, '0');
+    return `${pad(d.getHours())}:${pad(d.getMinutes())}:${pad(d.getSeconds())}.${pad(d.getMilliseconds(), 3)}`;
+}
+
+function PayloadTree({ value, name }) {
+    const label = name !== undefined ? <span className="unity-inspector__key">{name}: </span> : null;
+    if (value !== null && typeof value === 'object') {
+        const keys = Object.keys(value);
+        const summary = Array.isArray(value) ? `Array(${keys.length})` : `{${keys.length}}`;
+        return (
+            <details className="unity-inspector__tree" open={name === undefined}>
+                <summary>{label}{summary}</summary>
+                {keys.map((k) => <PayloadTree key={k} name={k} value={value[k]} />)}
+            </details>
+        );
+    }
+    return <div className="unity-inspector__leaf">{label}<span className={`unity-inspector__value--${value === null ? 'null' : typeof value}`}>{JSON.stringify(value)}</span></div>;
+}
+
+function OutboundEditor({ entry, onClose }) {
+    const [objectName, setObjectName] = useState(entry.objectName);
+    const [methodName, setMethodName] = useState(entry.methodName);
+    const [text, setText] = useState(() => (typeof entry.payload === 'string' ? entry.payload : JSON.stringify(entry.payload, null, 2)));
+    const [error, setError] = useState(null);
+
+    const submit = () => {
+        let payload = text;
+        try { payload = JSON.parse(text); } catch { /* send as a raw string */ }
+        try {
+            unityApi.send(payload, objectName, methodName, { instanceId: entry.instanceId });
+            onClose();
+        } catch (err) {
+            setError(err.message);
+        }
+    };
+
+    return (
+        <div className="unity-inspector__editor">
+            <div className="unity-inspector__editor-target">
+                <input value={objectName} onChange={(e) => setObjectName(e.target.value)} aria-label="GameObject" />
+                <input value={methodName} onChange={(e) => setMethodName(e.target.value)} aria-label="Method" />
+            </div>
+            <textarea value={text} onChange={(e) => setText(e.target.value)} rows={6} spellCheck={false} />
+            {error && <p className="unity-inspector__error">{error}</p>}
+            <div className="unity-inspector__actions">
+                <button onClick={submit}>Send</button>
+                <button onClick={onClose}>Cancel</button>
+            </div>
+        </div>
+    );
+}
+
+function InspectorEntry({ entry }) {
+    const [open, setOpen] = useState(false);
+    const [editing, setEditing] = useState(false);
+    const outbound = entry.direction === 'out';
+
+    const resend = () => {
+        try {
+            unityApi.send(entry.payload, entry.objectName, entry.methodName, { instanceId: entry.instanceId });
+        } catch (err) {
+            console.warn('[unity.inspector] re-send failed', err);
+        }
+    };
+
+    return (
+        <li className={`unity-inspector__entry unity-inspector__entry--${entry.direction}`}>
+            <button className="unity-inspector__row" onClick={() => setOpen(!open)}>
+                <span className="unity-inspector__time">{formatTime(entry.at)}</span>
+                <span className="unity-inspector__dir">{outbound ? '→' : '←'}</span>
+                <span className="unity-inspector__label">{entry.label}</span>
+                {entry.instanceId && <span className="unity-inspector__instance">{entry.instanceId}</span>}
+                {entry.status && <span className={`unity-inspector__status unity-inspector__status--${entry.status}`}>{entry.history.join(' → ')}</span>}
+            </button>
+            {open && (
+                <div className="unity-inspector__detail">
+                    <PayloadTree value={entry.payload} />
+                    {entry.reason && <p className="unity-inspector__reason">reason: {entry.reason}</p>}
+                    {outbound && !editing && (
+                        <div className="unity-inspector__actions">
+                            <button onClick={resend}>Re-send</button>
+                            <button onClick={() => setEditing(true)}>Edit &amp; send</button>
+                        </div>
+                    )}
+                    {outbound && editing && <OutboundEditor entry={entry} onClose={() => setEditing(false)} />}
+                </div>
+            )}
+        </li>
+    );
+}
+
+// Record the session to a JSON file, or replay one into the bridge
+function SessionControls() {
+    const recorderRef = useRef(null);
+    const replayRef = useRef(null);
+    const [recording, setRecording] = useState(false);
+    const [replaying, setReplaying] = useState(false);
+    const [speed, setSpeed] = useState('1');
+    const [result, setResult] = useState(null);
+
+    useEffect(() => () => {
+        if (recorderRef.current) recorderRef.current.stop();
+        if (replayRef.current) replayRef.current.stop();
+    }, []);
+
+    const toggleRecording = () => {
+        if (recorderRef.current) {
+            unityRecorder.downloadSession(recorderRef.current.stop());
+            recorderRef.current = null;
+            setRecording(false);
+        } else {
+            recorderRef.current = unityRecorder.startRecording();
+            setRecording(true);
+        }
+    };
+
+    const replayFile = async (e) => {
+        const file = e.target.files && e.target.files[0];
+        e.target.value = '';
+        if (!file) return;
+        try {
+            const session = await unityRecorder.loadSession(file);
+            replayRef.current = unityRecorder.replaySession(session, { speed: Number(speed), assert: true, ignoreKeys: ['callId', 'timestamp'] });
+            setReplaying(true);
+            setResult(null);
+            const outcome = await replayRef.current.promise;
+            setResult(outcome.assertion && outcome.assertion.ok ? `replayed ${outcome.delivered}, outbound matched` : `replayed ${outcome.delivered}, outbound differs (see console)`);
+            if (outcome.assertion && !outcome.assertion.ok) console.warn('[unity.inspector] replay assertion failed', outcome.assertion);
+        } catch (err) {
+            setResult(err.message);
+        } finally {
+            replayRef.current = null;
+            setReplaying(false);
+        }
+    };
+
+    return (
+        <div className="unity-inspector__session">
+            <button onClick={toggleRecording}>{recording ? 'Stop & export' : 'Record'}</button>
+            {replaying ? (
+                <button onClick={() => replayRef.current && replayRef.current.stop()}>Stop replay</button>
+            ) : (
+                <label className="unity-inspector__file">
+                    Replay…
+                    <input type="file" accept="application/json,.json" onChange={replayFile} />
+                </label>
+            )}
+            <select value={speed} onChange={(e) => setSpeed(e.target.value)} aria-label="Replay speed">
+                <option value="1">1×</option>
+                <option value="4">4×</option>
+                <option value="Infinity">instant</option>
+            </select>
+            {result && <span className="unity-inspector__result">{result}</span>}
+        </div>
+    );
+}
+
+/**
+ * Bridge traffic inspector. Mount it next to `<UnityGame>` during development.
+ *
+ * @param {Object} props
+ * @param {number} [props.maxEntries=500] - oldest entries are discarded beyond this count
+ * @param {string} [props.instanceId] - only show traffic for this Unity instance
+ */
+export default function UnityInspector({ maxEntries = 500, instanceId }) {
+    const [entries, setEntries] = useState([]);
+    const [paused, setPaused] = useState(false);
+    const [filter, setFilter] = useState('');
+    const [direction, setDirection] = useState('all');
+
+    useEffect(() => {
+        if (paused) return undefined;
+        const append = (entry) => setEntries((prev) => {
+            const next = prev.length >= maxEntries ? prev.slice(prev.length - maxEntries + 1) : prev.slice();
+            next.push(entry);
+            return next;
+        });
+
+        const offIn = unityApi.onMessage((type, payload, meta) => {
+            append({ key: `in-${++inboundSeq}`, direction: 'in', at: Date.now(), label: type, payload, instanceId: meta && meta.instanceId, meta });
+        }, { instanceId });
+
+        const offOut = unityApi.onOutbound((event) => {
+            if (instanceId && event.instanceId !== instanceId) return;
+            setEntries((prev) => {
+                // queued messages report again when flushed or dropped; update the existing row
+                const idx = prev.findIndex((e) => e.id === event.id);
+                if (idx !== -1) {
+                    const next = prev.slice();
+                    next[idx] = { ...prev[idx], status: event.status, reason: event.reason, history: [...prev[idx].history, event.status] };
+                    return next;
+                }
+                const entry = {
+                    key: event.id,
+                    id: event.id,
+                    direction: 'out',
+                    at: event.at,
+                    label: `${event.objectName}.${event.methodName}`,
+                    objectName: event.objectName,
+                    methodName: event.methodName,
+                    payload: event.payload,
+                    instanceId: event.instanceId,
+                    status: event.status,
+                    reason: event.reason,
+                    history: [event.status],
+                };
+                const next = prev.length >= maxEntries ? prev.slice(prev.length - maxEntries + 1) : prev.slice();
+                next.push(entry);
+                return next;
+            });
+        });
+
+        return () => { offIn(); offOut(); };
+    }, [paused, maxEntries, instanceId]);
+
+    const visible = useMemo(() => {
+        const needle = filter.trim().toLowerCase();
+        return entries.filter((e) => {
+            if (direction !== 'all' && e.direction !== direction) return false;
+            if (!needle) return true;
+            if (e.label.toLowerCase().includes(needle)) return true;
+            try { return JSON.stringify(e.payload).toLowerCase().includes(needle); } catch { return false; }
+        });
+    }, [entries, filter, direction]);
+
+    return (
+        <section className="unity-inspector">
+            <header className="unity-inspector__toolbar">
+                <strong>Unity bridge</strong>
+                <input placeholder="Filter type, target or payload" value={filter} onChange={(e) => setFilter(e.target.value)} />
+                <select value={direction} onChange={(e) => setDirection(e.target.value)} aria-label="Direction">
+                    <option value="all">All</option>
+                    <option value="in">Unity → React</option>
+                    <option value="out">React → Unity</option>
+                </select>
+                <button onClick={() => setPaused(!paused)}>{paused ? 'Resume' : 'Pause'}</button>
+                <button onClick={() => setEntries([])}>Clear</button>
+            </header>
+            <SessionControls />
+            <ul className="unity-inspector__list">
+                {visible.length === 0 ? <li className="unity-inspector__empty">No messages.</li> : visible.map((e) => <InspectorEntry key={e.key} entry={e} />)}
+            </ul>
+        </section>
+    );
+}
@@ -1,13 +1,107 @@
 import React from 'react';
 import './UnityOverlay.css';
 
-export default function UnityOverlay({ loadError, unityReady, onRetry, isLoading, isReady }) {
+const PHASE_LABELS = {
+  checking: 'Checking your device',
+  'fetching-loader': 'Fetching loader',
+  downloading: 'Downloading game data',
+  compiling: 'Compiling WebAssembly',
+  starting: 'Starting Unity Player',
+};
+
+// Crash screen copy per runtime event type (see unityRuntimeEvents)
+const CRASH_COPY = {
+  'out-of-memory': {
+    title: 'The game ran out of memory',
+    hint: 'Closing other tabs or apps may help. Reload to start again.',
+  },
+  abort: {
+    title: 'The game stopped unexpectedly',
+    hint: 'Reload to start again.',
+  },
+  exception: {
+    title: 'The game hit an error',
+    hint: 'Reload to start again. Progress since the last save may be lost.',
+  },
+};
+
+function formatMegabytes(value) {
+  return (value / (1024 * 1024)).toFixed(1);
+}
+
+export default function UnityOverlay({ loadError, unityReady, onRetry, isLoading, isReady, progress, phase, bytes, cacheStats, blocked, capabilities, onProceed, paused, pauseReason, crash, recovering, recoveryGaveUp }) {
+  if (recovering) {
+    return (
+      <div className="unity-overlay unity-overlay--crashed unity-overlay--recovering" role="status">
+        <div className="unity-overlay__box">
+          <h3 className="unity-overlay__title">Restarting the game</h3>
+          <p className="unity-overlay__msg">
+            The game stopped unexpectedly. Attempt {recovering.attempt} of {recovering.maxAttempts}; your progress will be restored.
+          </p>
+          <div className="unity-overlay__actions">
+            <button onClick={onRetry} className="unity-overlay__btn unity-overlay__btn--subtle">Restart now</button>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  if (crash) {
+    const copy = CRASH_COPY[crash.type] || CRASH_COPY.exception;
+    return (
+      <div className={`unity-overlay unity-overlay--crashed unity-overlay--${crash.type}`} role="alert">
+        <div className="unity-overlay__box">
+          <h3 className="unity-overlay__title">{copy.title}</h3>
+          <p className="unity-overlay__msg">{copy.hint}</p>
+          {recoveryGaveUp && <p className="unity-overlay__msg">Restarting automatically didn't help.</p>}
+          <details className="unity-overlay__details">
+            <summary>Details</summary>
+            <pre>{crash.message}</pre>
+          </details>
+          <div className="unity-overlay__actions">
+            <button onClick={onRetry} className="unity-overlay__btn">Reload game</button>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  if (blocked && capabilities) {
+    const unsupported = capabilities.verdict === 'unsupported';
+    const problems = unsupported ? capabilities.blockers : capabilities.warnings;
+    return (
+      <div className={`unity-overlay unity-overlay--${unsupported ? 'unsupported' : 'warning'}`}>
+        <div className="unity-overlay__box">
+          <h3 className="unity-overlay__title">
+            {unsupported ? "Your device can't run this game" : 'This game may not run well on your device'}
+          </h3>
+          <ul className="unity-overlay__list">
+            {problems.map((p) => <li key={p.check} className="unity-overlay__msg">{p.message}</li>)}
+          </ul>
+          {unsupported && capabilities.warnings.length > 0 && (
+            <ul className="unity-overlay__list unity-overlay__list--secondary">
+              {capabilities.warnings.map((p) => <li key={p.check} className="unity-overlay__msg">{p.message}</li>)}
+            </ul>
+          )}
+          <div className="unity-overlay__actions">
+            <button onClick={onProceed} className={`unity-overlay__btn${unsupported ? ' unity-overlay__btn--subtle' : ''}`}>
+              {unsupported ? 'Try anyway' : 'Continue anyway'}
+            </button>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
   if (loadError) {
     return (
       <div className="unity-overlay unity-overlay--error">
         <div className="unity-overlay__box">
-          <h3 className="unity-overlay__title">Failed to load Unity</h3>
+          <h3 className="unity-overlay__title">{loadError.code === 'UNITY_LOAD_CANCELLED' ? 'Loading cancelled' : 'Failed to load Unity'}</h3>
           <p className="unity-overlay__msg">{loadError && loadError.message ? loadError.message : String(loadError)}</p>
+          {loadError.attempts > 1 && (
+            <p className="unity-overlay__msg">Gave up after {loadError.attempts} attempts{loadError.stage ? ` (${loadError.stage} stage)` : ''}.</p>
+          )}
           <div className="unity-overlay__actions">
             <button onClick={onRetry} className="unity-overlay__btn">Retry</button>
           </div>
@@ -22,10 +116,47 @@ export default function UnityOverlay({ loadError, unityReady, onRetry, isLoading
     return (
       <div className="unity-overlay unity-overlay--loading">
         <div className="unity-overlay__box unity-overlay__spinner">
-          <div style={{ marginBottom: 8 }}>{typeof isLoading === 'boolean' && isLoading && !isReady ? 'Loading Unity Player' : 'Loading Unity Player'}</div>
-          <svg viewBox="0 0 50 50" aria-hidden="true">
-            <circle cx="25" cy="25" r="20" stroke="#fff" strokeWidth="4" fill="none" strokeLinecap="round" strokeDasharray="31.4 31.4" />
-          </svg>
+          <div style={{ marginBottom: 8 }}>{PHASE_LABELS[phase] || 'Loading Unity Player'}</div>
+          {typeof progress === 'number' && phase ? (
+            <div className="unity-overlay__progress">
+              <div
+                className="unity-overlay__progress-track"
+                role="progressbar"
+                aria-valuemin={0}
+                aria-valuemax={100}
+                aria-valuenow={Math.round(progress * 100)}
+              >
+                <div className="unity-overlay__progress-fill" style={{ width: `${Math.round(progress * 100)}%` }} />
+              </div>
+              <p className="unity-overlay__msg unity-overlay__progress-text">
+                {Math.round(progress * 100)}%
+                {bytes && bytes.total > 0 ? ` · ${formatMegabytes(bytes.loaded)} / ${formatMegabytes(bytes.total)} MB` : ''}
+              </p>
+              {cacheStats && cacheStats.hits > 0 && (
+                <p className="unity-overlay__msg unity-overlay__progress-text">
+                  {cacheStats.hits} file{cacheStats.hits === 1 ? '' : 's'} from cache
+                  {cacheStats.bytesFromCache > 0 ? ` (${formatMegabytes(cacheStats.bytesFromCache)} MB saved)` : ''}
+                </p>
+              )}
+            </div>
+          ) : (
+            <svg viewBox="0 0 50 50" aria-hidden="true">
+              <circle cx="25" cy="25" r="20" stroke="#fff" strokeWidth="4" fill="none" strokeLinecap="round" strokeDasharray="31.4 31.4" />
+            </svg>
+          )}
+        </div>
+      </div>
+    );
+  }
+
+  if (paused) {
+    return (
+      <div className="unity-overlay unity-overlay--paused">
+        <div className="unity-overlay__box">
+          <h3 className="unity-overlay__title">Paused</h3>
+          {(pauseReason === 'blur' || pauseReason === 'hidden') && (
+            <p className="unity-overlay__msg">The game resumes when you come back to this window.</p>
+          )}
         </div>
       </div>
     );
@@ -0,0 +1,102 @@
+import { useCallback, useContext, useLayoutEffect, useMemo, useRef, useState } from 'react';
+import { createPortal } from 'react-dom';
+import { matchPath, useLocation } from 'react-router-dom';
+import UnityGame from './UnityGame';
+import UnityProvider from './UnityProvider';
+import { PLAYER_POLICIES, UnityPlayerContext } from './unityPlayerContext';
+import { DEFAULT_INSTANCE_ID } from '../../unity/unityBridge';
+
+// Persistent Unity player mounted above <Routes>, so navigating between pages doesn't
+// quit and reload the build. The player is rendered through a portal into one DOM node
+// that is moved into whichever <UnityPlayerSlot> is mounted (moving a canvas keeps its
+// WebGL context). Without a slot the node waits in an off-screen parking container and
+// the route's policy decides whether the player keeps running, pauses or is destroyed.
+
+function routePolicy(pathname, policies, defaultPolicy) {
+    for (const [pattern, policy] of Object.entries(policies)) {
+        if (matchPath({ path: pattern, end: true }, pathname)) return policy;
+    }
+    return defaultPolicy;
+}
+
+const parkingStyle = {
+    position: 'fixed',
+    left: -10000,
+    top: 0,
+    visibility: 'hidden',
+    pointerEvents: 'none',
+};
+
+/**
+ * @param {Object} props
+ * @param {Object<string, string>} [props.policies] - route pattern -> PLAYER_POLICIES value,
+ *   for routes without a slot, e.g. { '/result': 'pause', '/settings': 'keep-alive' }
+ * @param {string} [props.defaultPolicy='pause'] - policy for routes not listed
+ * @param {React.ReactNode} props.children - usually the <Routes>
+ * Every other prop is passed to <UnityGame>. The build is loaded the first time a slot mounts.
+ */
+export default function UnityPlayerHost({ policies = {}, defaultPolicy = PLAYER_POLICIES.PAUSE, children, paused, instanceId = DEFAULT_INSTANCE_ID, ...gameProps }) {
+    const location = useLocation();
+    const [slot, setSlot] = useState(null);
+    const [everAttached, setEverAttached] = useState(false);
+    const [playerNode] = useState(() => {
+        const node = document.createElement('div');
+        node.className = 'unity-player-host';
+        return node;
+    });
+    const parkingRef = useRef(null);
+    const playerRef = useRef(null);
+
+    const policy = slot ? PLAYER_POLICIES.KEEP_ALIVE : routePolicy(location.pathname, policies, defaultPolicy);
+    const mounted = everAttached && policy !== PLAYER_POLICIES.DESTROY;
+
+    // move the player node into the slot, or park it
+    useLayoutEffect(() => {
+        const target = slot || parkingRef.current;
+        if (target && playerNode.parentNode !== target) target.appendChild(playerNode);
+    }, [slot, playerNode]);
+
+    const attach = useCallback((el) => {
+        setSlot(el);
+        setEverAttached(true);
+        return () => setSlot((current) => (current === el ? null : current));
+    }, []);
+
+    const value = useMemo(() => ({ attach, playerRef, attached: Boolean(slot), policy, instanceId }), [attach, slot, policy, instanceId]);
+
+    return (
+        <UnityPlayerContext.Provider value={value}>
+            <UnityProvider instanceId={instanceId}>{children}</UnityProvider>
+            <div ref={parkingRef} style={parkingStyle} aria-hidden="true" />
+            {mounted && createPortal(
+                <UnityGame
+                    {...gameProps}
+                    ref={playerRef}
+                    instanceId={instanceId}
+                    paused={Boolean(paused) || policy === PLAYER_POLICIES.PAUSE}
+                />,
+                playerNode,
+            )}
+        </UnityPlayerContext.Provider>
+    );
+}
+
+/**
+ * Placeholder for the persistent player: render it where the game should appear.
+ * Only one slot should be mounted at a time.
+ */
+export function UnityPlayerSlot({ className, style }) {
+    const host = useContext(UnityPlayerContext);
+    const ref = useRef(null);
+    const attach = host ? host.attach : null;
+
+    useLayoutEffect(() => {
+        if (!attach) {
+            console.warn('[UnityPlayerSlot] rendered outside <UnityPlayerHost>; nothing will be shown');
+            return undefined;
+        }
+        return attach(ref.current);
+    }, [attach]);
+
+    return <div ref={ref} className={className} style={style} />;
+}
@@ -0,0 +1,17 @@
+import { useMemo } from 'react';
+import { UnityContext } from '../../unity/unityHooks';
+import { DEFAULT_INSTANCE_ID } from '../../unity/unityBridge';
+
+/**
+ * Scopes the Unity hooks (useUnityEvent, useUnityLatest, useUnitySend, useUnityStatus)
+ * below it to one instance. Hooks outside any provider use the default instance.
+ * The bridge singletons stay the implementation; this only carries the instance id.
+ *
+ * @param {Object} props
+ * @param {string} [props.instanceId] - the `instanceId` of the <UnityGame> to talk to
+ * @param {React.ReactNode} props.children
+ */
+export default function UnityProvider({ instanceId = DEFAULT_INSTANCE_ID, children }) {
+    const value = useMemo(() => ({ instanceId }), [instanceId]);
+    return <UnityContext.Provider value={value}>{children}</UnityContext.Provider>;
+}
@@ -0,0 +1,21 @@
+import { createContext, useContext } from 'react';
+
+// What happens to the persistent player on a route that shows no <UnityPlayerSlot>
+export const PLAYER_POLICIES = {
+    KEEP_ALIVE: 'keep-alive', // keeps running off screen
+    PAUSE: 'pause', // kept, but paused and muted (see UnityGame's `paused` prop)
+    DESTROY: 'destroy', // quit; the next slot loads the build again
+};
+
+export const UnityPlayerContext = createContext(null);
+
+/**
+ * Access the persistent player from inside <UnityPlayerHost>.
+ * @returns {{playerRef: Object, attached: boolean, policy: string, instanceId: string}}
+ *   `playerRef.current` is the UnityGame ref (fullscreen(), isPaused(), getInstance(), ...)
+ */
+export function useUnityPlayer() {
+    const ctx = useContext(UnityPlayerContext);
+    if (!ctx) throw new Error('useUnityPlayer must be used inside <UnityPlayerHost>');
+    return ctx;
+}
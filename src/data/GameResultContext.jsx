@@ -1,14 +1,73 @@
-import { createContext, useState, useContext } from "react";
+import { createContext, useState, useContext, useEffect, useCallback } from "react";
+import * as resultStore from "./resultStore";
+import * as resultSubmitter from "./resultSubmitter";
 
 const GameResultContext = createContext();
 
-// Simple way to store game result data received from Unity
-// Replace with proper backend integration as needed
+// Stores game result data received from Unity.
+// Every result is persisted locally (IndexedDB, localStorage fallback) as a history entry,
+// so results survive a page refresh; `gameResult` is the latest one.
+// When VITE_RESULTS_ENDPOINT is set, each result is also submitted to the backend through
+// resultSubmitter (durable outbox with retries); `record.submission` holds its status.
 export const GameResultProvider = ({ children }) => {
-  const [gameResult, setGameResult] = useState(null);
+  const [gameResult, setLatestResult] = useState(null);
+  const [history, setHistory] = useState([]);
+  const [historyLoaded, setHistoryLoaded] = useState(false);
+
+  useEffect(() => {
+    let cancelled = false;
+    resultStore.listResults()
+      .then((records) => {
+        if (cancelled) return;
+        setHistory(records);
+        // keep a result received before the history finished loading
+        setLatestResult((current) => current ?? (records[0] ? records[0].result : null));
+      })
+      .catch((err) => console.error("Failed to load game result history", err))
+      .finally(() => { if (!cancelled) setHistoryLoaded(true); });
+    return () => { cancelled = true; };
+  }, []);
+
+  // Keep the history in sync with submission attempts and work through the outbox
+  useEffect(() => {
+    const offStatus = resultSubmitter.onStatusChange((record) => {
+      setHistory((prev) => prev.map((r) => (r.id === record.id ? record : r)));
+    });
+    const stop = resultSubmitter.start();
+    return () => { offStatus(); stop(); };
+  }, []);
+
+  // Record a new result from Unity: becomes the latest result and is added to the history
+  const setGameResult = useCallback((result) => {
+    setLatestResult(result);
+    if (result == null) return;
+    resultStore.addResult(result)
+      .then((record) => {
+        setHistory((prev) => [record, ...prev.filter((r) => r.id !== record.id)]);
+        return resultSubmitter.submit(record);
+      })
+      .catch((err) => console.error("Failed to store game result", err));
+  }, []);
+
+  // Send a failed result again (the retry counter starts over)
+  const retryResult = useCallback(async (id) => {
+    const record = await resultStore.getResult(id);
+    if (record) await resultSubmitter.retry(record);
+  }, []);
+
+  const removeResult = useCallback(async (id) => {
+    await resultStore.removeResult(id);
+    setHistory((prev) => prev.filter((r) => r.id !== id));
+  }, []);
+
+  const clearResults = useCallback(async () => {
+    await resultStore.clearResults();
+    setHistory([]);
+    setLatestResult(null);
+  }, []);
 
   return (
-    <GameResultContext.Provider value={{ gameResult, setGameResult }}>
+    <GameResultContext.Provider value={{ gameResult, setGameResult, history, historyLoaded, removeResult, clearResults, retryResult }}>
       {children}
     </GameResultContext.Provider>
   );
@@ -0,0 +1,63 @@
+// Export helpers for the game result history shown on ResultsPage.
+
+const BASE_COLUMNS = ["id", "receivedAt", "userId"];
+
+function csvCell(value) {
+  if (value === null || value === undefined) return "";
+  const text = typeof value === "object" ? JSON.stringify(value) : String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Serialize history records as CSV. Top-level fields of the result payloads become
+ * columns (nested values are written as JSON).
+ * @param {Array<Object>} records
+ * @returns {string}
+ */
+export function toCsv(records) {
+  const resultKeys = [];
+  for (const record of records) {
+    const result = record.result;
+    if (!result || typeof result !== "object" || Array.isArray(result)) continue;
+    for (const key of Object.keys(result)) {
+      if (key !== "userId" && !resultKeys.includes(key)) resultKeys.push(key);
+    }
+  }
+  const header = [...BASE_COLUMNS, ...resultKeys];
+  const rows = records.map((record) => {
+    const result = record.result && typeof record.result === "object" ? record.result : {};
+    return [
+      record.id,
+      new Date(record.receivedAt).toISOString(),
+      record.userId,
+      ...resultKeys.map((key) => result[key]),
+    ].map(csvCell).join(",");
+  });
+  return [header.join(","), ...rows].join("\r\n");
+}
+
+/**
+ * Serialize history records as pretty-printed JSON.
+ * @param {Array<Object>} records
+ * @returns {string}
+ */
+export function toJson(records) {
+  return JSON.stringify(records, null, 2);
+}
+
+/**
+ * Offer text content as a file download.
+ * @param {string} content
+ * @param {string} filename
+ * @param {string} type - MIME type
+ */
+export function downloadFile(content, filename, type) {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
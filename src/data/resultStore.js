@@ -0,0 +1,148 @@
+// Persistent storage for game results received from Unity.
+// Uses IndexedDB when available and falls back to localStorage (e.g. private mode,
+// older browsers). Every method is async so callers don't care which backend is used.
+//
+// Record shape: { id, receivedAt (epoch ms), userId, result (payload from Unity) }
+
+const DB_NAME = "react-unity-app";
+const DB_VERSION = 1;
+const STORE_NAME = "gameResults";
+const LOCAL_STORAGE_KEY = "react-unity-app.gameResults";
+
+export function createResultId() {
+  if (typeof crypto !== "undefined" && typeof crypto.randomUUID === "function") return crypto.randomUUID();
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+}
+
+function requestToPromise(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+function openDatabase() {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      if (!db.objectStoreNames.contains(STORE_NAME)) {
+        const store = db.createObjectStore(STORE_NAME, { keyPath: "id" });
+        store.createIndex("receivedAt", "receivedAt");
+      }
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+    request.onblocked = () => reject(new Error("IndexedDB open blocked"));
+  });
+}
+
+function createIndexedDbBackend(db) {
+  const run = (mode, fn) => {
+    const tx = db.transaction(STORE_NAME, mode);
+    return requestToPromise(fn(tx.objectStore(STORE_NAME)));
+  };
+  return {
+    name: "indexeddb",
+    list: () => run("readonly", (store) => store.getAll()),
+    get: (id) => run("readonly", (store) => store.get(id)),
+    put: (record) => run("readwrite", (store) => store.put(record)),
+    remove: (id) => run("readwrite", (store) => store.delete(id)),
+    clear: () => run("readwrite", (store) => store.clear()),
+  };
+}
+
+function createLocalStorageBackend() {
+  const read = () => {
+    try {
+      const parsed = JSON.parse(localStorage.getItem(LOCAL_STORAGE_KEY) || "[]");
+      return Array.isArray(parsed) ? parsed : [];
+    } catch {
+      return [];
+    }
+  };
+  const write = (records) => localStorage.setItem(LOCAL_STORAGE_KEY, JSON.stringify(records));
+  return {
+    name: "localstorage",
+    list: async () => read(),
+    get: async (id) => read().find((r) => r.id === id),
+    put: async (record) => write([...read().filter((r) => r.id !== record.id), record]),
+    remove: async (id) => write(read().filter((r) => r.id !== id)),
+    clear: async () => localStorage.removeItem(LOCAL_STORAGE_KEY),
+  };
+}
+
+let backendPromise = null;
+
+function getBackend() {
+  if (!backendPromise) {
+    backendPromise = (async () => {
+      if (typeof indexedDB !== "undefined") {
+        try {
+          return createIndexedDbBackend(await openDatabase());
+        } catch (err) {
+          console.warn("[resultStore] IndexedDB unavailable, falling back to localStorage", err);
+        }
+      }
+      return createLocalStorageBackend();
+    })();
+  }
+  return backendPromise;
+}
+
+/**
+ * All stored results, newest first.
+ * @returns {Promise<Array<Object>>}
+ */
+export async function listResults() {
+  const backend = await getBackend();
+  const records = await backend.list();
+  return records.sort((a, b) => b.receivedAt - a.receivedAt);
+}
+
+/**
+ * A single stored result.
+ * @param {string} id
+ * @returns {Promise<Object|undefined>}
+ */
+export async function getResult(id) {
+  const backend = await getBackend();
+  return backend.get(id);
+}
+
+/**
+ * Store a result payload from Unity as a new history record.
+ * @param {any} result - payload of the GameResult message
+ * @returns {Promise<Object>} the stored record
+ */
+export async function addResult(result) {
+  const record = {
+    id: createResultId(),
+    receivedAt: Date.now(),
+    userId: result && typeof result === "object" && result.userId != null ? String(result.userId) : null,
+    result,
+  };
+  const backend = await getBackend();
+  await backend.put(record);
+  return record;
+}
+
+/**
+ * Update a stored record (matched by id).
+ * @param {Object} record
+ * @returns {Promise<void>}
+ */
+export async function updateResult(record) {
+  const backend = await getBackend();
+  await backend.put(record);
+}
+
+export async function removeResult(id) {
+  const backend = await getBackend();
+  await backend.remove(id);
+}
+
+export async function clearResults() {
+  const backend = await getBackend();
+  await backend.clear();
+}
@@ -0,0 +1,232 @@
+// Submits stored game results to a backend, with a durable outbox.
+// Each history record (see resultStore) carries its submission state:
+//   submission: { status: 'pending' | 'sent' | 'failed', attempts, lastError, nextAttemptAt, sentAt }
+// Pending records stay in the store until the server accepts them, so they survive reloads
+// and going offline. Retries use exponential backoff; the record id is sent as the
+// `Idempotency-Key` header so the server can ignore duplicates of a retried POST.
+//
+// The endpoint comes from VITE_RESULTS_ENDPOINT (e.g. in .env.local) or `configure()`.
+// Without an endpoint nothing is submitted and results stay local only.
+
+import * as resultStore from "./resultStore";
+
+export const SUBMISSION_STATUS = {
+  PENDING: "pending",
+  SENT: "sent",
+  FAILED: "failed",
+};
+
+const config = {
+  endpoint: import.meta.env.VITE_RESULTS_ENDPOINT || null,
+  maxAttempts: 8,
+  baseDelay: 2000,
+  maxDelay: 5 * 60 * 1000,
+  timeout: 15000,
+  fetch: (...args) => fetch(...args),
+};
+
+const listeners = new Set();
+const inFlight = new Set();
+let retryTimer = null;
+let started = 0;
+
+/**
+ * Override submission settings.
+ * @param {Object} options
+ * @param {string|null} [options.endpoint] - URL results are POSTed to; null disables submission
+ * @param {number} [options.maxAttempts=8] - attempts before a result is marked failed
+ * @param {number} [options.baseDelay=2000] - ms before the first retry, doubled for each attempt
+ * @param {number} [options.maxDelay=300000] - upper bound for the retry delay
+ * @param {number} [options.timeout=15000] - ms before a request is aborted and retried
+ * @param {function} [options.fetch] - fetch implementation
+ */
+export function configure(options = {}) {
+  Object.assign(config, options);
+}
+
+export function isEnabled() {
+  return Boolean(config.endpoint);
+}
+
+/**
+ * Listen for submission state changes. The listener receives the updated record.
+ * @returns {function():void} unsubscribe
+ */
+export function onStatusChange(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+function notify(record) {
+  for (const listener of Array.from(listeners)) {
+    try {
+      listener(record);
+    } catch (err) {
+      console.error("resultSubmitter listener error", err);
+    }
+  }
+}
+
+function retryDelay(attempts) {
+  const delay = Math.min(config.baseDelay * 2 ** (attempts - 1), config.maxDelay);
+  // jitter so many clients coming back online don't retry in lockstep
+  return Math.round(delay * (0.75 + Math.random() * 0.5));
+}
+
+function retryAfter(response) {
+  const value = response.headers.get("Retry-After");
+  if (!value) return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return seconds * 1000;
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+async function save(record) {
+  await resultStore.updateResult(record);
+  notify(record);
+  return record;
+}
+
+// One POST. Resolves with { ok } or { retry, error, delay } and never throws
+async function post(record) {
+  const controller = typeof AbortController !== "undefined" ? new AbortController() : null;
+  const timer = controller ? setTimeout(() => controller.abort(), config.timeout) : null;
+  try {
+    const response = await config.fetch(config.endpoint, {
+      method: "POST",
+      headers: { "Content-Type": "application/json", "Idempotency-Key": record.id },
+      body: JSON.stringify({ id: record.id, receivedAt: record.receivedAt, userId: record.userId, result: record.result }),
+      signal: controller ? controller.signal : undefined,
+    });
+    if (response.ok) return { ok: true };
+    const error = `HTTP ${response.status}`;
+    // server errors, timeouts and rate limiting are worth retrying; other client errors are not
+    const retry = response.status >= 500 || response.status === 408 || response.status === 429;
+    return { ok: false, retry, error, delay: retryAfter(response) };
+  } catch (err) {
+    // fetch rejects when offline or the server is unreachable
+    const error = err && err.name === "AbortError" ? "Request timed out" : (err && err.message) || "Network error";
+    return { ok: false, retry: true, error };
+  } finally {
+    if (timer) clearTimeout(timer);
+  }
+}
+
+async function attempt(record) {
+  if (!isEnabled() || inFlight.has(record.id)) return record;
+  inFlight.add(record.id);
+  try {
+    const previous = record.submission || { attempts: 0 };
+    const attempts = (previous.attempts || 0) + 1;
+    const outcome = await post(record);
+    // deleted from the history while the request was in flight: don't bring it back
+    if (!(await resultStore.getResult(record.id))) return null;
+    let submission;
+    if (outcome.ok) {
+      submission = { status: SUBMISSION_STATUS.SENT, attempts, lastError: null, nextAttemptAt: null, sentAt: Date.now() };
+    } else if (outcome.retry && attempts < config.maxAttempts) {
+      const delay = outcome.delay != null ? outcome.delay : retryDelay(attempts);
+      submission = { status: SUBMISSION_STATUS.PENDING, attempts, lastError: outcome.error, nextAttemptAt: Date.now() + delay, sentAt: null };
+    } else {
+      submission = { status: SUBMISSION_STATUS.FAILED, attempts, lastError: outcome.error, nextAttemptAt: null, sentAt: null };
+    }
+    const updated = await save({ ...record, submission });
+    scheduleRetry();
+    return updated;
+  } finally {
+    inFlight.delete(record.id);
+  }
+}
+
+/**
+ * Queue a stored record for submission and try to send it right away.
+ * @param {Object} record - a record from resultStore.addResult
+ * @returns {Promise<Object>} the record with its updated submission state
+ */
+export async function submit(record) {
+  if (!isEnabled()) return record;
+  const queued = await save({
+    ...record,
+    submission: { status: SUBMISSION_STATUS.PENDING, attempts: 0, lastError: null, nextAttemptAt: Date.now(), sentAt: null },
+  });
+  if (typeof navigator !== "undefined" && navigator.onLine === false) {
+    // wait for the 'online' event instead of burning an attempt
+    return queued;
+  }
+  return attempt(queued);
+}
+
+/**
+ * Manually retry a failed (or pending) record; the attempt counter starts over.
+ * @param {Object} record
+ */
+export function retry(record) {
+  return submit(record);
+}
+
+/**
+ * Try every pending record whose retry time has come (all pending records with `force`).
+ * @param {Object} [options]
+ * @param {boolean} [options.force=false]
+ */
+export async function processOutbox({ force = false } = {}) {
+  if (!isEnabled()) return;
+  const records = await resultStore.listResults();
+  const now = Date.now();
+  const due = records
+    .filter((r) => r.submission && r.submission.status === SUBMISSION_STATUS.PENDING)
+    .filter((r) => force || !r.submission.nextAttemptAt || r.submission.nextAttemptAt <= now)
+    .reverse(); // oldest first
+  for (const record of due) {
+    await attempt(record);
+  }
+  scheduleRetry();
+}
+
+// Wake up for the earliest pending retry
+function scheduleRetry() {
+  if (!started) return;
+  resultStore.listResults()
+    .then((records) => {
+      const next = records
+        .filter((r) => r.submission && r.submission.status === SUBMISSION_STATUS.PENDING && !inFlight.has(r.id))
+        .reduce((min, r) => Math.min(min, r.submission.nextAttemptAt || 0), Infinity);
+      if (retryTimer) clearTimeout(retryTimer);
+      retryTimer = null;
+      if (next === Infinity || !started) return;
+      retryTimer = setTimeout(() => {
+        retryTimer = null;
+        processOutbox().catch((err) => console.error("resultSubmitter outbox error", err));
+      }, Math.max(0, next - Date.now()));
+    })
+    .catch((err) => console.error("resultSubmitter schedule error", err));
+}
+
+function onOnline() {
+  processOutbox({ force: true }).catch((err) => console.error("resultSubmitter outbox error", err));
+}
+
+/**
+ * Start processing the outbox: sends what is due now, then retries on schedule and
+ * whenever the browser comes back online. Calls are reference counted.
+ * @returns {function():void} stop
+ */
+export function start() {
+  started += 1;
+  if (started === 1) {
+    window.addEventListener("online", onOnline);
+    processOutbox().catch((err) => console.error("resultSubmitter outbox error", err));
+  }
+  let stopped = false;
+  return () => {
+    if (stopped) return;
+    stopped = true;
+    started -= 1;
+    if (started === 0) {
+      window.removeEventListener("online", onOnline);
+      if (retryTimer) clearTimeout(retryTimer);
+      retryTimer = null;
+    }
+  };
+}
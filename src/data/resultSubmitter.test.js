@@ -0,0 +1,118 @@
+// @vitest-environment jsdom
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+
+// jsdom has no IndexedDB, so results go through resultStore's localStorage backend,
+// which outlives a module reload the way the real outbox outlives a page reload.
+const ENDPOINT = "http://localhost:8787/results";
+const BASE_DELAY = 1000;
+
+let resultStore;
+let resultSubmitter;
+let stop = null;
+
+async function load(fetchImpl) {
+  vi.resetModules();
+  resultStore = await import("./resultStore");
+  resultSubmitter = await import("./resultSubmitter");
+  resultSubmitter.configure({ endpoint: ENDPOINT, baseDelay: BASE_DELAY, maxAttempts: 5, fetch: fetchImpl });
+  stop = resultSubmitter.start();
+  await vi.advanceTimersByTimeAsync(0);
+}
+
+function response(status) {
+  return { ok: status >= 200 && status < 300, status, headers: { get: () => null } };
+}
+
+// a fetch answering with `outcomes` in order: a status code, or an Error to reject with
+function scriptedFetch(...outcomes) {
+  return vi.fn(async () => {
+    const next = outcomes.shift();
+    if (next instanceof Error) throw next;
+    return response(next);
+  });
+}
+
+const keys = (fetchImpl) => fetchImpl.mock.calls.map(([, init]) => init.headers["Idempotency-Key"]);
+const stored = async (record) => (await resultStore.getResult(record.id)).submission;
+
+beforeEach(() => {
+  localStorage.clear();
+  vi.useFakeTimers();
+  // no jitter: retries wait exactly baseDelay, 2x baseDelay, ...
+  vi.spyOn(Math, "random").mockReturnValue(0.5);
+});
+
+afterEach(() => {
+  if (stop) stop();
+  stop = null;
+  vi.restoreAllMocks();
+  vi.useRealTimers();
+});
+
+describe("resultSubmitter", () => {
+  it("sends the same Idempotency-Key on every retry", async () => {
+    const fetchImpl = scriptedFetch(503, new TypeError("Failed to fetch"), 200);
+    await load(fetchImpl);
+    const record = await resultStore.addResult({ userId: "user-1", score: 10 });
+
+    await resultSubmitter.submit(record);
+    await vi.advanceTimersByTimeAsync(BASE_DELAY);
+    await vi.advanceTimersByTimeAsync(2 * BASE_DELAY);
+
+    expect(fetchImpl).toHaveBeenCalledTimes(3);
+    expect(keys(fetchImpl)).toEqual([record.id, record.id, record.id]);
+    expect(await stored(record)).toMatchObject({ status: "sent", attempts: 3 });
+  });
+
+  it("backs off exponentially on 5xx responses and network errors", async () => {
+    const fetchImpl = scriptedFetch(500, new TypeError("Failed to fetch"), 502);
+    await load(fetchImpl);
+    const record = await resultStore.addResult({ userId: "user-1", score: 10 });
+
+    await resultSubmitter.submit(record);
+    expect(await stored(record)).toMatchObject({ status: "pending", attempts: 1, lastError: "HTTP 500", nextAttemptAt: Date.now() + BASE_DELAY });
+
+    await vi.advanceTimersByTimeAsync(BASE_DELAY - 1);
+    expect(fetchImpl).toHaveBeenCalledTimes(1);
+    await vi.advanceTimersByTimeAsync(1);
+    expect(fetchImpl).toHaveBeenCalledTimes(2);
+    expect(await stored(record)).toMatchObject({ status: "pending", attempts: 2, lastError: "Failed to fetch", nextAttemptAt: Date.now() + 2 * BASE_DELAY });
+
+    await vi.advanceTimersByTimeAsync(2 * BASE_DELAY - 1);
+    expect(fetchImpl).toHaveBeenCalledTimes(2);
+    await vi.advanceTimersByTimeAsync(1);
+    expect(fetchImpl).toHaveBeenCalledTimes(3);
+    expect(await stored(record)).toMatchObject({ status: "pending", attempts: 3, nextAttemptAt: Date.now() + 4 * BASE_DELAY });
+  });
+
+  it("does not retry 4xx responses", async () => {
+    const fetchImpl = scriptedFetch(400, 200);
+    await load(fetchImpl);
+    const record = await resultStore.addResult({ userId: "user-1", score: 10 });
+
+    await resultSubmitter.submit(record);
+    await resultSubmitter.processOutbox({ force: true });
+    await vi.advanceTimersByTimeAsync(10 * BASE_DELAY);
+
+    expect(fetchImpl).toHaveBeenCalledTimes(1);
+    expect(await stored(record)).toMatchObject({ status: "failed", attempts: 1, lastError: "HTTP 400", nextAttemptAt: null });
+  });
+
+  it("replays the outbox after a reload", async () => {
+    await load(scriptedFetch(new TypeError("Failed to fetch")));
+    const record = await resultStore.addResult({ userId: "user-1", score: 10 });
+    await resultSubmitter.submit(record);
+    expect(await stored(record)).toMatchObject({ status: "pending", attempts: 1 });
+    stop();
+
+    // the page reloads after the retry time has passed: fresh modules, same storage
+    await vi.advanceTimersByTimeAsync(BASE_DELAY);
+    const fetchImpl = scriptedFetch(200);
+    await load(fetchImpl);
+
+    expect(fetchImpl).toHaveBeenCalledTimes(1);
+    expect(keys(fetchImpl)).toEqual([record.id]);
+    expect(JSON.parse(fetchImpl.mock.calls[0][1].body)).toMatchObject({ id: record.id, result: { userId: "user-1", score: 10 } });
+    expect(await stored(record)).toMatchObject({ status: "sent", attempts: 2 });
+  });
+});
@@ -2,8 +2,18 @@ import React from "react";
 import ReactDOM from "react-dom/client";
 import App from "./App.jsx";
 import { GameResultProvider } from "./data/GameResultContext";
+import "./unity/messageSchemas";
+import unityApi from "./unity/unityApi";
 import "./index.css";
 
+// The bundled build in public/Build was compiled before the jslib's private channel, so
+// it still needs window events: on in dev, and in builds made with
+// VITE_UNITY_WINDOW_EVENTS=true. Remove this (and the variable) once public/Build is
+// rebuilt with the current UnityMessage.jslib.
+if (import.meta.env.DEV || import.meta.env.VITE_UNITY_WINDOW_EVENTS === "true") {
+  unityApi.setWindowEvents(true);
+}
+
 ReactDOM.createRoot(document.getElementById("root")).render(
   <React.StrictMode>
     <GameResultProvider>
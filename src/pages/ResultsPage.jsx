@@ -1,16 +1,145 @@
+import { useMemo, useState } from "react";
 import { useGameResult } from "../data/GameResultContext";
+import { toCsv, toJson, downloadFile } from "../data/resultExport";
+import "./ResultsPage.css";
+
+const SORT_FIELDS = {
+    date: (r) => r.receivedAt,
+    score: (r) => (r.result && typeof r.result.score === "number" ? r.result.score : -Infinity),
+    user: (r) => r.userId || "",
+};
+
+function compare(a, b) {
+    if (typeof a === "string" || typeof b === "string") return String(a).localeCompare(String(b));
+    return a - b;
+}
+
+function formatDate(at) {
+    return new Date(at).toLocaleString();
+}
+
+function submissionLabel(submission) {
+    if (!submission) return "local only";
+    if (submission.status === "pending" && submission.attempts > 0) {
+        return `pending (attempt ${submission.attempts} failed: ${submission.lastError})`;
+    }
+    if (submission.status === "failed") return `failed: ${submission.lastError}`;
+    return submission.status;
+}
+
+function exportFilename(ext) {
+    return `game-results-${new Date().toISOString().replace(/[:.]/g, "-")}.${ext}`;
+}
 
 export default function ResultPage() {
-    const { gameResult } = useGameResult();
+    const { history, historyLoaded, removeResult, clearResults, retryResult } = useGameResult();
+    const [filter, setFilter] = useState("");
+    const [sortField, setSortField] = useState("date");
+    const [sortDir, setSortDir] = useState("desc");
+    const [selectedId, setSelectedId] = useState(null);
+
+    const visible = useMemo(() => {
+        const needle = filter.trim().toLowerCase();
+        const key = SORT_FIELDS[sortField];
+        const dir = sortDir === "asc" ? 1 : -1;
+        return history
+            .filter((r) => !needle || (r.userId || "").toLowerCase().includes(needle))
+            .sort((a, b) => dir * compare(key(a), key(b)));
+    }, [history, filter, sortField, sortDir]);
+
+    const selected = history.find((r) => r.id === selectedId) || null;
+
+    const exportAs = (format) => {
+        if (format === "csv") downloadFile(toCsv(visible), exportFilename("csv"), "text/csv");
+        else downloadFile(toJson(visible), exportFilename("json"), "application/json");
+    };
 
+    const remove = (id) => {
+        if (id === selectedId) setSelectedId(null);
+        removeResult(id).catch((err) => console.error("Failed to delete game result", err));
+    };
+
+    const retry = (id) => {
+        retryResult(id).catch((err) => console.error("Failed to retry game result submission", err));
+    };
+
+    const clearAll = () => {
+        if (!window.confirm(`Delete all ${history.length} stored results?`)) return;
+        setSelectedId(null);
+        clearResults().catch((err) => console.error("Failed to clear game results", err));
+    };
 
     return (
-        <div>
+        <div className="results-page">
             <h1>Game Results</h1>
-            {gameResult ? (
-                <pre>{JSON.stringify(gameResult, null, 2)}</pre>
-            ) : (
+            {!historyLoaded ? (
+                <p>Loading results…</p>
+            ) : history.length === 0 ? (
                 <p>No results yet.</p>
+            ) : (
+                <>
+                    <div className="results-page__toolbar">
+                        <input
+                            placeholder="Filter by user id"
+                            value={filter}
+                            onChange={(e) => setFilter(e.target.value)}
+                        />
+                        <select value={sortField} onChange={(e) => setSortField(e.target.value)} aria-label="Sort by">
+                            <option value="date">Date</option>
+                            <option value="score">Score</option>
+                            <option value="user">User</option>
+                        </select>
+                        <button onClick={() => setSortDir(sortDir === "asc" ? "desc" : "asc")}>
+                            {sortDir === "asc" ? "Ascending" : "Descending"}
+                        </button>
+                        <button onClick={() => exportAs("csv")} disabled={visible.length === 0}>Export CSV</button>
+                        <button onClick={() => exportAs("json")} disabled={visible.length === 0}>Export JSON</button>
+                        <button onClick={clearAll}>Clear all</button>
+                    </div>
+                    <table className="results-page__table">
+                        <thead>
+                            <tr>
+                                <th>Date</th>
+                                <th>User</th>
+                                <th>Score</th>
+                                <th>Submission</th>
+                                <th />
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {visible.map((r) => (
+                                <tr
+                                    key={r.id}
+                                    className={r.id === selectedId ? "results-page__row--selected" : undefined}
+                                    onClick={() => setSelectedId(r.id === selectedId ? null : r.id)}
+                                >
+                                    <td>{formatDate(r.receivedAt)}</td>
+                                    <td>{r.userId || "—"}</td>
+                                    <td>{r.result && r.result.score !== undefined ? String(r.result.score) : "—"}</td>
+                                    <td className={`results-page__status--${r.submission ? r.submission.status : "local"}`}>
+                                        {submissionLabel(r.submission)}
+                                    </td>
+                                    <td>
+                                        {r.submission && r.submission.status === "failed" && (
+                                            <button onClick={(e) => { e.stopPropagation(); retry(r.id); }}>Retry</button>
+                                        )}
+                                        <button onClick={(e) => { e.stopPropagation(); remove(r.id); }}>Delete</button>
+                                    </td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                    {visible.length === 0 && <p>No results match the filter.</p>}
+                    {selected && (
+                        <section className="results-page__detail">
+                            <h2>Round from {formatDate(selected.receivedAt)}</h2>
+                            <p>Submission: {submissionLabel(selected.submission)}
+                                {selected.submission && selected.submission.sentAt ? ` at ${formatDate(selected.submission.sentAt)}` : ""}
+                            </p>
+                            <pre>{JSON.stringify(selected.result, null, 2)}</pre>
+                        </section>
+                    )}
+                </>
             )}
         </div>
     );
@@ -1,60 +1,14 @@
-import { useEffect, useCallback } from 'react';
-import UnityGame from "../components/unity/UnityGame";
-import unityApi from "../unity/unityApi";
-import { useGameResult } from '../data/GameResultContext';
-import eventBus from '../unity/unityEventBus';
+import { UnityPlayerSlot } from "../components/unity/UnityPlayerHost";
+import { useUnityPlayer } from "../components/unity/unityPlayerContext";
+import UnityInspector from "../components/unity/UnityInspector";
 
-export default function UnityPage() {
-
-    // -------------------------------------------------------------
-    // Example: send initial data to Unity when ready
-
-    // Example payload to send to Unity
-    const payload = {
-        timestamp: Date.now(),
-        action: 'startRound',
-        data: { difficulty: 'easy' },
-        userData: {
-            userId: "user-123",
-            userName: "User"
-        }
-    };
-    // Send user data once Unity is ready. Use an effect so we don't return a Promise from render.
-    useEffect(() => {
-        let mounted = true;
-        unityApi.whenReady()
-            .then(() => {
-                if (!mounted) return;
-
-                // Send to Unity object 'JSEventManager', method 'OnStartRound' (these are defined in Unity)
-                unityApi.send(payload, "JSEventManager", "OnStartRound");
-            })
-            .catch((err) => {
-                console.error('whenReady failed', err);
-            });
-        return () => { mounted = false; };
-    }, []);
-
-
-    // -------------------------------------------------------------
-    // Example: handle game result event from Unity
+// Dev-only bridge inspector: open the page with ?inspector to show it
+const showInspector = import.meta.env.DEV && new URLSearchParams(window.location.search).has('inspector');
 
-    const { setGameResult } = useGameResult();
-
-    const handleUnityGameResult = useCallback((payload) => {
-        try {
-            setGameResult(payload);
-        } catch (e) {}
-    }, [setGameResult]);
-
-    // Subscribe to Unity typed events via the eventBus
-    useEffect(() => {
-        const unsub = eventBus.subscribe('GameResult', handleUnityGameResult);
-        return () => { unsub(); };
-    }, [handleUnityGameResult]);
-
-
-    // -------------------------------------------------------------
+export default function UnityPage() {
+    // The player itself is mounted by UnityPlayerHost in App.jsx and survives navigation;
+    // starting rounds and recording results happen in GameSession, which lives with it
+    const { playerRef } = useUnityPlayer();
 
     return (
         <div
@@ -67,12 +21,9 @@ export default function UnityPage() {
             }}
         >
             <h1>Game View</h1>
-            <UnityGame
-                dataUrl="/Build/UnityGame.data"
-                frameworkUrl="/Build/UnityGame.framework.js"
-                codeUrl="/Build/UnityGame.wasm"
-                loaderSrc="/Build/UnityGame.loader.js"
-            />
+            <UnityPlayerSlot />
+            <button onClick={() => playerRef.current && playerRef.current.fullscreen()}>Fullscreen</button>
+            {showInspector && <UnityInspector />}
         </div>
     );
 }
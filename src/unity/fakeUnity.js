@@ -0,0 +1,336 @@
+/**
+ * fakeUnity — a scriptable, headless stand-in for the Unity WebGL loader.
+ *
+ * Purpose:
+ * - Develop and test the React side (`unityBridge`, `unityEventBus`, `useUnityLoader`,
+ *   `UnityGame`) without a WebGL build or a GPU.
+ * - `createFakeUnity()` returns a controller whose `createUnityInstance` has the same
+ *   signature as the real one; hand it to `useUnityLoader` / `<UnityGame createUnityInstance>`.
+ *
+ * What it simulates:
+ * - load progress (the `onProgress` callback and per-file byte counts in `config.downloadProgress`)
+ * - load failures (`failNextLoad`) and manual control over when a load finishes (`manual: true`)
+ * - `SendMessage` (recorded in `sent`, optionally answered by `handle` scripts); batch
+ *   envelopes sent to the batch dispatcher are unpacked and recorded per message, and
+ *   chunks sent to the chunk receiver are joined first
+ * - messages sent as the jslib would (`emit`, `reply`, `reject`): through the instance's
+ *   `reactChannel` config key, or as window `UnityMessage` events without one, including
+ *   bytes (`emitBinary`) and large payloads split into chunks (`emitChunked`)
+ * - `CopyBinaryFromJS` for `unityApi.sendBinary` descriptors (`takeBinary`)
+ * - `Quit` (recorded in `quitCount`)
+ * - framework console output and crashes (`print`, `crash`), through the `print` /
+ *   `printErr` / `errorHandler` / `onAbort` config keys like the real framework
+ *
+ * @example
+ * const fake = createFakeUnity();
+ * fake.handle('JSEventManager', 'GetInventory', (payload, { reply }) => reply({ items: [] }));
+ * <UnityGame createUnityInstance={fake.createUnityInstance} />
+ * fake.emit('GameResult', { userId: 'user-123', score: 42 });
+ */
+
+const UNITY_MESSAGE_EVENT = 'UnityMessage';
+const DEFAULT_PROGRESS_STEPS = [0, 0.25, 0.5, 0.75, 0.9, 1];
+
+function _wait(ms) {
+    return ms > 0 ? new Promise((r) => setTimeout(r, ms)) : Promise.resolve();
+}
+
+function _parse(arg) {
+    if (typeof arg !== 'string') return arg;
+    try { return JSON.parse(arg); } catch { return arg; }
+}
+
+/**
+ * Create a fake Unity loader controller.
+ *
+ * @param {Object} [options]
+ * @param {boolean} [options.autoReady=true] - emit `UnityReady` right after the instance is created
+ * @param {boolean} [options.manual=false] - keep loads pending until `finishLoad()` / `failLoad()`
+ * @param {number[]} [options.progressSteps] - progress values reported during a load
+ * @param {number} [options.stepDelay=0] - milliseconds between progress steps
+ * @param {number} [options.totalBytes=0] - simulated download size reported through `downloadProgress`
+ * @param {{objectName: string, methodName: string}} [options.batchDispatcher] - target of batched sends (see `unityBridge.setBatching`)
+ * @param {{objectName: string, methodName: string}} [options.chunkReceiver] - target of chunked sends (see `unityBridge.setChunking`)
+ * @returns {Object} controller (see module docs)
+ */
+export function createFakeUnity({
+    autoReady = true,
+    manual = false,
+    progressSteps = DEFAULT_PROGRESS_STEPS,
+    stepDelay = 0,
+    totalBytes = 0,
+    batchDispatcher = { objectName: 'ReactBatchDispatcher', methodName: 'OnBatch' },
+    chunkReceiver = { objectName: 'ReactChunkReceiver', methodName: 'OnChunk' },
+} = {}) {
+    const sent = []; // { objectName, methodName, arg, payload, instanceId, at }
+    const scripts = new Map(); // 'Object.Method' -> handler(payload, helpers)
+    const instances = []; // every instance created, newest last
+    const pendingLoads = []; // manual mode: { resolve, reject, config, onProgress }
+    const chunked = new Map(); // chunk id -> received pieces, like the C# chunk receiver
+    let chunkCounter = 0;
+    let nextLoadError = null;
+    let quitCount = 0;
+
+    const controller = {
+        sent,
+        instances,
+        get quitCount() { return quitCount; },
+        get instance() { return instances.length ? instances[instances.length - 1] : null; },
+        createUnityInstance,
+        emit,
+        emitBinary,
+        emitChunked,
+        takeBinary,
+        reply,
+        reject,
+        handle,
+        progress,
+        failNextLoad,
+        finishLoad,
+        failLoad,
+        print,
+        crash,
+        sentTo,
+        reset,
+    };
+
+    function _instanceId(config) {
+        return config ? config.reactInstanceId : undefined;
+    }
+
+    // like $ReactBridge.emit: the private channel of the addressed instance, else window
+    function _dispatch(detail) {
+        const target = instances.slice().reverse().find((i) => !i.quit && _instanceId(i.Module) === detail.meta.instanceId);
+        const channel = target && target.Module.reactChannel;
+        if (typeof channel === 'function') {
+            channel(detail);
+            return;
+        }
+        window.dispatchEvent(new CustomEvent(UNITY_MESSAGE_EVENT, { detail }));
+    }
+
+    function _makeInstance(config) {
+        const instance = {
+            Module: config,
+            quit: false,
+            SendMessage(objectName, methodName, arg) {
+                if (instance.quit) throw new Error('fakeUnity: SendMessage after Quit');
+                const payload = _parse(arg);
+                if (batchDispatcher && objectName === batchDispatcher.objectName && methodName === batchDispatcher.methodName
+                    && payload && Array.isArray(payload.messages)) {
+                    // like the C# dispatcher: forward each batched message in order
+                    for (const m of payload.messages) instance.SendMessage(m.objectName, m.methodName, m.payload);
+                    return;
+                }
+                if (chunkReceiver && objectName === chunkReceiver.objectName && methodName === chunkReceiver.methodName
+                    && payload && payload.id !== undefined) {
+                    // like the C# receiver: forward the joined payload once every piece arrived
+                    const parts = chunked.get(payload.id) || [];
+                    parts[payload.index] = payload.data;
+                    chunked.set(payload.id, parts);
+                    if (parts.filter((p) => p !== undefined).length < payload.count) return;
+                    chunked.delete(payload.id);
+                    instance.SendMessage(payload.objectName, payload.methodName, parts.join(''));
+                    return;
+                }
+                const record = { objectName, methodName, arg, payload, instanceId: _instanceId(config), at: Date.now() };
+                sent.push(record);
+                const script = scripts.get(`${objectName}.${methodName}`);
+                if (script) {
+                    const callId = payload && typeof payload === 'object' ? payload.callId : undefined;
+                    const helpers = {
+                        record,
+                        emit: (type, p, meta) => emit(type, p, { ...meta, instanceId: record.instanceId }),
+                        reply: (p) => reply(callId, p, record.instanceId),
+                        reject: (message) => reject(callId, message, record.instanceId),
+                    };
+                    // scripts run asynchronously, like Unity answering on a later frame
+                    Promise.resolve().then(() => script(callId !== undefined ? payload.payload : payload, helpers));
+                }
+            },
+            SetFullscreen() { },
+            Quit() {
+                instance.quit = true;
+                quitCount += 1;
+                return Promise.resolve();
+            },
+        };
+        return instance;
+    }
+
+    function _reportBytes(config, value) {
+        if (!totalBytes || !config || !config.downloadProgress) return;
+        const loaded = Math.round(Math.min(value / 0.9, 1) * totalBytes);
+        config.downloadProgress.dataUrl = { started: true, finished: loaded >= totalBytes, lengthComputable: true, total: totalBytes, loaded };
+    }
+
+    /**
+     * Same signature as the real `createUnityInstance(canvas, config, onProgress)`.
+     */
+    function createUnityInstance(canvas, config = {}, onProgress = () => { }) {
+        if (nextLoadError) {
+            const err = nextLoadError;
+            nextLoadError = null;
+            return Promise.reject(err);
+        }
+        if (manual) {
+            return new Promise((resolve, rejectLoad) => {
+                pendingLoads.push({ resolve, reject: rejectLoad, config, onProgress });
+            });
+        }
+        return (async () => {
+            for (const value of progressSteps) {
+                _reportBytes(config, value);
+                onProgress(value);
+                await _wait(stepDelay);
+            }
+            return _created(config);
+        })();
+    }
+
+    function _created(config) {
+        const instance = _makeInstance(config);
+        instances.push(instance);
+        if (autoReady) {
+            // the real build calls NotifyReactUnityIsReady once its scene has started
+            setTimeout(() => emit('UnityReady', null, { instanceId: _instanceId(config) }), 0);
+        }
+        return instance;
+    }
+
+    /**
+     * Send a message to React the way `UnityMessage.jslib` does. Non-string payloads
+     * are JSON-encoded because Unity always hands the bridge strings.
+     */
+    function emit(type, payload, meta = {}) {
+        const encoded = payload === null || payload === undefined || typeof payload === 'string' ? payload : JSON.stringify(payload);
+        const fullMeta = { instanceId: _instanceId(controller.instance && controller.instance.Module), ...meta };
+        _dispatch({ type, payload: encoded, meta: fullMeta });
+    }
+
+    /**
+     * Send bytes to React like the jslib `SendBinaryToJS`: handlers receive an ArrayBuffer.
+     * @param {string} type
+     * @param {ArrayBuffer|ArrayBufferView} data
+     */
+    function emitBinary(type, data, meta = {}) {
+        const bytes = ArrayBuffer.isView(data) ? new Uint8Array(data.buffer, data.byteOffset, data.byteLength) : new Uint8Array(data);
+        const fullMeta = { instanceId: _instanceId(controller.instance && controller.instance.Module), ...meta, binary: true };
+        _dispatch({ type, payload: bytes.slice().buffer, meta: fullMeta });
+    }
+
+    /**
+     * Send a payload in `chunkSize` pieces like repeated jslib `SendChunkToJS` calls;
+     * React delivers it as one `type` message.
+     */
+    function emitChunked(type, payload, chunkSize = 1024, meta = {}) {
+        const encoded = typeof payload === 'string' ? payload : JSON.stringify(payload);
+        const id = `fake-chunk-${++chunkCounter}`;
+        const count = Math.max(1, Math.ceil(encoded.length / chunkSize));
+        for (let index = 0; index < count; index++) {
+            emit('UnityChunk', { id, type, index, count, data: encoded.slice(index * chunkSize, (index + 1) * chunkSize) }, meta);
+        }
+    }
+
+    /**
+     * Copy the bytes of a `unityApi.sendBinary` like the jslib `CopyBinaryFromJS`.
+     * @param {Object|string} recordOrTransferId - a `sent` record or its payload's transferId
+     * @returns {Uint8Array|null} null when already taken or expired
+     */
+    function takeBinary(recordOrTransferId) {
+        const transferId = typeof recordOrTransferId === 'string' ? recordOrTransferId : recordOrTransferId && recordOrTransferId.payload && recordOrTransferId.payload.transferId;
+        const module = controller.instance && controller.instance.Module;
+        const transfers = module && module.reactTransfers;
+        return transfers ? transfers.take(transferId) : null;
+    }
+
+    /** Answer a `unityApi.call`, like the jslib `ReplyToJS`. */
+    function reply(callId, payload, instanceId) {
+        emit('UnityReply', payload, instanceId !== undefined ? { callId, instanceId } : { callId });
+    }
+
+    /** Reject a `unityApi.call`, like the jslib `RejectToJS`. */
+    function reject(callId, message, instanceId) {
+        emit('UnityReply', null, instanceId !== undefined ? { callId, error: message, instanceId } : { callId, error: message });
+    }
+
+    /**
+     * Script how Unity reacts to `SendMessage(objectName, methodName, ...)`.
+     * The handler receives the payload (unwrapped for `call` envelopes) and
+     * `{ record, emit, reply, reject }`.
+     */
+    function handle(objectName, methodName, handler) {
+        scripts.set(`${objectName}.${methodName}`, handler);
+        return () => scripts.delete(`${objectName}.${methodName}`);
+    }
+
+    /** Report progress for the oldest pending manual load. */
+    function progress(value) {
+        const load = pendingLoads[0];
+        if (!load) return;
+        _reportBytes(load.config, value);
+        load.onProgress(value);
+    }
+
+    /** Make the next `createUnityInstance` call reject with `error`. */
+    function failNextLoad(error = new Error('fakeUnity: simulated load failure')) {
+        nextLoadError = error;
+    }
+
+    /** Resolve the oldest pending manual load; returns the created instance. */
+    function finishLoad() {
+        const load = pendingLoads.shift();
+        if (!load) return null;
+        load.onProgress(1);
+        const instance = _created(load.config);
+        load.resolve(instance);
+        return instance;
+    }
+
+    /** Reject the oldest pending manual load. */
+    function failLoad(error = new Error('fakeUnity: simulated load failure')) {
+        const load = pendingLoads.shift();
+        if (load) load.reject(error);
+    }
+
+    /** Write to the framework console of the newest instance; `error` uses printErr. */
+    function print(message, { error = false } = {}) {
+        const module = controller.instance && controller.instance.Module;
+        const fn = module && (error ? module.printErr : module.print);
+        if (typeof fn === 'function') fn(message);
+    }
+
+    /**
+     * Crash the newest instance: 'exception' goes to the framework's errorHandler,
+     * 'abort' and 'out-of-memory' to onAbort (Emscripten aborts with 'OOM').
+     */
+    function crash(kind = 'abort', message) {
+        const module = controller.instance && controller.instance.Module;
+        if (!module) return;
+        if (kind === 'exception') {
+            if (typeof module.errorHandler === 'function') module.errorHandler(message || 'RuntimeError: unreachable', 'fakeUnity.js', 0);
+            return;
+        }
+        if (typeof module.onAbort === 'function') module.onAbort(kind === 'out-of-memory' ? 'OOM' : (message || 'native code called abort()'));
+    }
+
+    /** Recorded sends for one target. */
+    function sentTo(objectName, methodName) {
+        return sent.filter((s) => s.objectName === objectName && (!methodName || s.methodName === methodName));
+    }
+
+    /** Forget recorded traffic, scripts and pending loads. */
+    function reset() {
+        sent.length = 0;
+        instances.length = 0;
+        scripts.clear();
+        pendingLoads.length = 0;
+        chunked.clear();
+        nextLoadError = null;
+        quitCount = 0;
+    }
+
+    return controller;
+}
+
+export default createFakeUnity;
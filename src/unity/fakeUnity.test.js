@@ -0,0 +1,101 @@
+import { afterEach, describe, expect, it } from 'vitest';
+import unityBridge from './unityBridge';
+import { createFakeUnity } from './fakeUnity';
+
+// Drives the fake loader through unityBridge the way UnityGame wires a real instance:
+// the loader config carries the instance id and the bridge's private channel.
+let _idCounter = 0;
+const used = [];
+
+function newInstanceId() {
+    const instanceId = `fake-${++_idCounter}`;
+    used.push(instanceId);
+    return instanceId;
+}
+
+async function startFake(options = {}, instanceId = newInstanceId()) {
+    const fake = createFakeUnity(options);
+    const instance = await fake.createUnityInstance(null, { reactInstanceId: instanceId, ...unityBridge.configHooks(instanceId) });
+    return { fake, instance, instanceId };
+}
+
+function nextMessage(type, instanceId) {
+    return new Promise((resolve) => {
+        const fn = (payload) => {
+            unityBridge.unregisterHandler(type, fn, { instanceId });
+            resolve(payload);
+        };
+        unityBridge.registerHandler(type, fn, { instanceId });
+    });
+}
+
+afterEach(() => {
+    for (const instanceId of used.splice(0)) unityBridge.clearInstance(instanceId);
+});
+
+describe('fakeUnity through unityBridge', () => {
+    it('reports UnityReady and resolves whenReady once the instance is set', async () => {
+        const instanceId = newInstanceId();
+        const ready = nextMessage('UnityReady', instanceId);
+        const { instance } = await startFake({}, instanceId);
+        const waiting = unityBridge.whenReady(instanceId);
+
+        unityBridge.setInstance(instance, instanceId);
+
+        await expect(waiting).resolves.toBe(instance);
+        await expect(ready).resolves.toBeNull();
+    });
+
+    it('delivers sends to the instance and its messages to handlers', async () => {
+        const { fake, instance, instanceId } = await startFake({ autoReady: false });
+        unityBridge.setInstance(instance, instanceId);
+        fake.handle('JSEventManager', 'OnStartRound', (payload, { emit }) => {
+            emit('GameResult', { userId: payload.userId, score: 42 });
+        });
+        const result = nextMessage('GameResult', instanceId);
+
+        expect(unityBridge.send('JSEventManager', 'OnStartRound', { userId: 'user-1' }, { instanceId })).toBe(true);
+
+        expect(fake.sentTo('JSEventManager', 'OnStartRound')).toHaveLength(1);
+        expect(fake.sent[0]).toMatchObject({ arg: '{"userId":"user-1"}', instanceId });
+        await expect(result).resolves.toEqual({ userId: 'user-1', score: 42 });
+    });
+
+    it('answers call() through the reply channel', async () => {
+        const { fake, instance, instanceId } = await startFake({ autoReady: false });
+        unityBridge.setInstance(instance, instanceId);
+        fake.handle('Inventory', 'Get', (payload, { reply }) => reply({ items: [payload.userId] }));
+
+        await expect(unityBridge.call('Inventory', 'Get', { userId: 'user-2' }, { instanceId })).resolves.toEqual({ items: ['user-2'] });
+    });
+
+    it('queues sends made before the instance is set and flushes them in order', async () => {
+        const { fake, instance, instanceId } = await startFake({ autoReady: false });
+        const statuses = [];
+        const observe = (event) => {
+            if (event.instanceId === instanceId) statuses.push(`${event.methodName}:${event.status}`);
+        };
+        unityBridge.registerOutboundObserver(observe);
+
+        unityBridge.send('Game', 'First', { n: 1 }, { instanceId });
+        unityBridge.send('Game', 'Second', { n: 2 }, { instanceId });
+        expect(fake.sent).toHaveLength(0);
+
+        unityBridge.setInstance(instance, instanceId);
+        unityBridge.unregisterOutboundObserver(observe);
+
+        expect(fake.sentTo('Game').map((s) => s.payload)).toEqual([{ n: 1 }, { n: 2 }]);
+        expect(statuses).toEqual(['First:queued', 'Second:queued', 'First:flushed', 'Second:flushed']);
+    });
+
+    it('drops queued sends when the instance is cleared', async () => {
+        const { fake, instance, instanceId } = await startFake({ autoReady: false });
+        const receipt = unityBridge.deliver('Game', 'Late', { n: 3 }, { instanceId });
+
+        unityBridge.clearInstance(instanceId);
+        unityBridge.setInstance(instance, instanceId);
+
+        await expect(receipt).rejects.toMatchObject({ code: 'UNITY_INSTANCE_CLEARED' });
+        expect(fake.sent).toHaveLength(0);
+    });
+});
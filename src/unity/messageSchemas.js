@@ -0,0 +1,21 @@
+import unitySchema from './unitySchema';
+import unityBridge from './unityBridge';
+import contract from './unity.contract.json';
+
+/**
+ * Shapes of the messages exchanged with the bundled Unity build, registered from
+ * `unity.contract.json`. Imported once from `main.jsx`; add new messages to the contract
+ * and run `npm run contract:generate` to update the jslib and the `unityMessages` wrappers.
+ * Inbound types outside the contract are not delivered at all.
+ */
+
+// Unity → React
+for (const [type, { payload }] of Object.entries(contract.inbound)) {
+    unitySchema.defineInbound(type, payload);
+}
+unityBridge.setAllowedTypes(Object.keys(contract.inbound));
+
+// React → Unity
+for (const [key, { payload }] of Object.entries(contract.outbound)) {
+    unitySchema.defineOutbound(key, payload);
+}
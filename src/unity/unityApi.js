@@ -1,4 +1,11 @@
-import unityBridge from './unityBridge';
+import unityBridge, { DEFAULT_INSTANCE_ID } from './unityBridge';
+import unitySchema from './unitySchema';
+import unityRuntimeEvents from './unityRuntimeEvents';
+
+// Lifecycle protocol: React sends Pause / Resume / SetMuted to this GameObject and Unity
+// confirms with ReportPauseStateToJS (UnityMessage.jslib), delivered as UNITY_PAUSE_STATE.
+export const LIFECYCLE_OBJECT = 'ReactLifecycle';
+export const UNITY_PAUSE_STATE = 'UnityPauseState';
 
 /**
  * Send a message to Unity.
@@ -14,17 +21,168 @@ import unityBridge from './unityBridge';
  * @param {any} payload - The payload to send to Unity (object, string, number, etc.).
  * @param {string} objectName - Unity GameObject name to call.
  * @param {string} methodName - Method name on the Unity object to invoke.
- * @param {boolean} [queue=true] - Whether to queue the message if Unity isn't ready.
- * @returns {boolean} true if the message was sent or queued, false otherwise.
+ * @param {boolean|Object} [queue=true] - Whether to queue the message if Unity isn't ready,
+ *   or an options object `{ queue, instanceId, maxQueue, dropPolicy, ttl, coalesceKey, batch }`
+ *   (see `unityBridge.send` for the queue and batching options).
+ * @returns {boolean} true if the message was sent or queued, false otherwise (including
+ *   when a registered schema rejects the payload; in 'reject' mode this throws instead).
  */
 function send(payload, objectName, methodName, queue = true) {
+    const options = typeof queue === 'object' && queue !== null ? queue : { queue };
     if (objectName && methodName) {
-        return unityBridge.send(objectName, methodName, payload, { queue });
+        return unityBridge.send(objectName, methodName, payload, options);
     }
     console.warn('[unity.api] send: no object/method provided.');
     return false;
 }
 
+/**
+ * Send bytes (an image, a level file...) to Unity without base64 or JSON.
+ *
+ * Unity's method receives `{ transferId, length }` and copies the bytes into a buffer of
+ * its own with `CopyBinaryFromJS` (see `UnityMessage.jslib`):
+ *
+ *     var buffer = new byte[msg.length];
+ *     CopyBinaryFromJS(msg.transferId, buffer, buffer.Length);
+ *
+ * Queueing works as for `send`. Unity sends bytes back with `SendBinaryToJS(type, bytes, length)`;
+ * `on(type, handler)` then receives an ArrayBuffer.
+ *
+ * @param {ArrayBuffer|ArrayBufferView} data - copied, so it may be reused right away
+ * @param {string} objectName - Unity GameObject name to call.
+ * @param {string} methodName - Method name on the Unity object to invoke.
+ * @param {boolean|Object} [queue=true] - as for `send`, plus `binaryTtl`: ms the bytes wait
+ *   for Unity to copy them once delivered (default 60000)
+ * @returns {boolean} true if the message was sent or queued
+ */
+function sendBinary(data, objectName, methodName, queue = true) {
+    const options = typeof queue === 'object' && queue !== null ? queue : { queue };
+    if (objectName && methodName) {
+        return unityBridge.sendBinary(objectName, methodName, data, options);
+    }
+    console.warn('[unity.api] sendBinary: no object/method provided.');
+    return false;
+}
+
+/**
+ * Send a message to Unity and get a delivery receipt.
+ *
+ * Same arguments as `send` (the last one is an options object). The returned promise
+ * resolves with `{ status: 'sent' | 'flushed', id }` once Unity received the message and
+ * rejects with an Error whose `code` tells why it never arrived: `UNITY_NOT_READY`,
+ * `UNITY_QUEUE_OVERFLOW`, `UNITY_SEND_EXPIRED`, `UNITY_SEND_SUPERSEDED` (coalesced),
+ * `UNITY_INSTANCE_CLEARED` (discarded by a reload), `UNITY_SCHEMA_INVALID` or `UNITY_SEND_FAILED`.
+ *
+ * @example
+ * unityApi.deliver(settings, 'Settings', 'Apply', { coalesceKey: 'settings', ttl: 30000 })
+ *     .catch((err) => console.info('settings not applied:', err.code));
+ *
+ * @param {any} payload - The payload to send to Unity.
+ * @param {string} objectName - Unity GameObject name to call.
+ * @param {string} methodName - Method name on the Unity object to invoke.
+ * @param {Object} [options] - `{ queue, instanceId, maxQueue, dropPolicy, ttl, coalesceKey }`
+ * @returns {Promise<{status: string, id: string}>}
+ */
+function deliver(payload, objectName, methodName, options = {}) {
+    if (!objectName || !methodName) {
+        console.warn('[unity.api] deliver: no object/method provided.');
+        return Promise.reject(new Error('unityApi.deliver requires objectName and methodName'));
+    }
+    return unityBridge.deliver(objectName, methodName, payload, options);
+}
+
+/**
+ * Set the default policy for messages queued while Unity isn't ready.
+ * Per-send options take precedence.
+ *
+ * @param {{maxSize?: number, dropPolicy?: 'oldest'|'newest', ttl?: number}} policy
+ */
+function setQueuePolicy(policy) {
+    unityBridge.setQueuePolicy(policy);
+}
+
+/**
+ * Configure frame-batched sending. Batched messages are collected for one animation frame
+ * (or `window` ms) and delivered as a single `SendMessage(objectName, methodName, json)` with
+ * `{ messages: [{ objectName, methodName, payload }] }`; a dispatcher GameObject in Unity
+ * forwards each entry in order. Unbatched sends flush the pending batch first.
+ *
+ * @param {Object} options
+ * @param {boolean} [options.enabled] - batch every send by default (per-send `batch` option overrides)
+ * @param {('frame'|number)} [options.window='frame'] - collection window
+ * @param {string} [options.objectName='ReactBatchDispatcher'] - dispatcher GameObject
+ * @param {string} [options.methodName='OnBatch'] - dispatcher method
+ * @param {number} [options.maxSize=100] - deliver early once this many messages are waiting
+ */
+function setBatching(options) {
+    unityBridge.setBatching(options);
+}
+
+/**
+ * Configure how JSON payloads too long for one SendMessage are split. Such payloads are
+ * sent in order to `objectName.methodName` as `{ id, index, count, objectName, methodName, data }`;
+ * a receiver GameObject in Unity joins the `data` pieces and forwards the message.
+ *
+ * @param {Object} options
+ * @param {boolean} [options.enabled=true]
+ * @param {number} [options.maxSize=262144] - longest payload sent in one piece
+ * @param {string} [options.objectName='ReactChunkReceiver'] - receiver GameObject
+ * @param {string} [options.methodName='OnChunk'] - receiver method
+ * @param {number} [options.ttl=60000] - ms a partially received message from Unity waits for its other chunks
+ */
+function setChunking(options) {
+    unityBridge.setChunking(options);
+}
+
+/**
+ * Accept only these inbound message types; messages of other types are dropped with a
+ * warning before any handler sees them. `messageSchemas.js` allows the types of
+ * `unity.contract.json`.
+ *
+ * @param {Iterable<string>|null} types - null accepts every type
+ */
+function setAllowedTypes(types) {
+    unityBridge.setAllowedTypes(types);
+}
+
+/**
+ * Compatibility mode for Unity builds whose jslib still delivers messages as window
+ * `UnityMessage` CustomEvents instead of the private channel. Any script on the page can
+ * dispatch such events, so only turn this on for those builds.
+ *
+ * @param {boolean} enabled
+ */
+function setWindowEvents(enabled) {
+    unityBridge.setWindowEvents(enabled);
+}
+
+/**
+ * Call a Unity method and wait for its reply.
+ *
+ * Unity receives `{ callId, payload }` as the message argument and must answer
+ * with `ReplyToJS(callId, json)` or `RejectToJS(callId, message)` (see
+ * `UnityMessage.jslib`). The promise rejects with an Error whose `code` is one of
+ * `UNITY_CALL_TIMEOUT`, `UNITY_CALL_REJECTED`, `UNITY_CALL_NOT_SENT` or
+ * `UNITY_INSTANCE_CLEARED`. Only a reply from the called instance settles the call, and a
+ * call still queued when it times out is taken off the queue.
+ *
+ * @param {string} objectName - Unity GameObject name to call.
+ * @param {string} methodName - Method name on the Unity object to invoke.
+ * @param {any} payload - The payload to send to Unity.
+ * @param {Object} [options]
+ * @param {number} [options.timeout=10000] - Milliseconds to wait for the reply; 0 disables the timeout.
+ * @param {boolean} [options.queue=true] - Whether to queue the call if Unity isn't ready.
+ * @param {string} [options.instanceId] - Unity instance to call (defaults to the default instance).
+ * @returns {Promise<any>} resolves with the reply payload.
+ */
+function call(objectName, methodName, payload, options = {}) {
+    if (!objectName || !methodName) {
+        console.warn('[unity.api] call: no object/method provided.');
+        return Promise.reject(new Error('unityApi.call requires objectName and methodName'));
+    }
+    return unityBridge.call(objectName, methodName, payload, options);
+}
+
 /**
  * Register a typed handler for messages coming from Unity.
  *
@@ -33,15 +191,17 @@ function send(payload, objectName, methodName, queue = true) {
  *
  * @param {string} event - The Unity message type to listen for (detail.type).
  * @param {function(any):void} handler - Function called with the message payload.
+ * @param {Object} [options]
+ * @param {string} [options.instanceId] - Only receive messages from this instance (default: all instances).
  * @returns {function():void} unsubscribe function.
  */
-function on(event, handler) {
+function on(event, handler, options = {}) {
     if (typeof handler !== 'function') {
         try { console.warn('[unity.api] on: handler must be a function'); } catch (e) { }
         return () => { };
     }
-    unityBridge.registerHandler(event, handler);
-    return () => unityBridge.unregisterHandler(event, handler);
+    unityBridge.registerHandler(event, handler, options);
+    return () => unityBridge.unregisterHandler(event, handler, options);
 }
 
 /**
@@ -49,30 +209,33 @@ function on(event, handler) {
  *
  * @param {string} event - The event type the handler was registered for.
  * @param {function(any):void} handler - The same function reference that was passed to `on`.
+ * @param {Object} [options] - The same `{ instanceId }` that was passed to `on`.
  * @returns {void}
  */
-function off(event, handler) {
+function off(event, handler, options = {}) {
     if (typeof handler !== 'function') {
         try { console.warn('[unity.api] off: handler must be a function'); } catch (e) { }
         return;
     }
-    return unityBridge.unregisterHandler(event, handler);
+    return unityBridge.unregisterHandler(event, handler, options);
 }
 
 /**
  * Register a global message observer receiving every Unity message.
- * The handler is called as (type, payload, meta).
+ * The handler is called as (type, payload, meta); `meta.instanceId` names the sender.
  *
  * @param {function(string, any, any):void} handler - (type, payload, meta)
+ * @param {Object} [options]
+ * @param {string} [options.instanceId] - Only observe messages from this instance (default: all instances).
  * @returns {function():void} unsubscribe function.
  */
-function onMessage(handler) {
+function onMessage(handler, options = {}) {
     if (typeof handler !== 'function') {
         try { console.warn('[unity.api] onMessage: handler must be a function'); } catch (e) { }
         return () => { };
     }
-    unityBridge.registerGlobalHandler(handler);
-    return () => unityBridge.unregisterGlobalHandler(handler);
+    unityBridge.registerGlobalHandler(handler, options);
+    return () => unityBridge.unregisterGlobalHandler(handler, options);
 }
 
 
@@ -80,34 +243,188 @@ function onMessage(handler) {
  * Unregister a previously registered global message handler.
  *
  * @param {function(string, any, any):void} handler - The same function reference passed to `onMessage`.
+ * @param {Object} [options] - The same `{ instanceId }` that was passed to `onMessage`.
  * @returns {void}
  */
-function offMessage(handler) {
+function offMessage(handler, options = {}) {
     if (typeof handler !== 'function') {
         try { console.warn('[unity.api] offMessage: handler must be a function'); } catch (e) { }
         return;
     }
-    return unityBridge.unregisterGlobalHandler(handler);
+    return unityBridge.unregisterGlobalHandler(handler, options);
 }
 
 
+/**
+ * Observe every message React sends to Unity, across all instances.
+ *
+ * The handler is called with `{ id, status, objectName, methodName, payload, instanceId, reason, at }`
+ * where `status` is 'sent', 'queued', 'flushed' (a queued message delivered on ready),
+ * 'dropped' or 'failed'. `reason` tells why a message was dropped: 'not-ready' (no instance
+ * and not queued), 'cleared' (its instance was cleared), 'invalid' (rejected by a schema),
+ * 'overflow' (pushed out of a full queue), 'expired' (queued longer than its `ttl`, or than its `call` timeout) or
+ * 'coalesced' (superseded by a newer send with the same `coalesceKey`). A queued message
+ * reports twice with the same `id`. The inbound type allowlist never drops outbound messages.
+ *
+ * @param {function(Object):void} handler
+ * @returns {function():void} unsubscribe function.
+ */
+function onOutbound(handler) {
+    if (typeof handler !== 'function') {
+        console.warn('[unity.api] onOutbound: handler must be a function');
+        return () => { };
+    }
+    unityBridge.registerOutboundObserver(handler);
+    return () => unityBridge.unregisterOutboundObserver(handler);
+}
+
 /**
  * Return a promise that resolves when a Unity instance becomes available.
  * If an instance already exists, the returned promise resolves immediately.
  *
+ * @param {string} [instanceId] - Unity instance to wait for (defaults to the default instance).
  * @returns {Promise<any>} resolves with the Unity instance object (exposes SendMessage).
  */
-function whenReady() {
-    return unityBridge.whenReady();
+function whenReady(instanceId = DEFAULT_INSTANCE_ID) {
+    return unityBridge.whenReady(instanceId);
+}
+
+/**
+ * Subscribe to schema validation failures for messages in either direction.
+ * The handler receives `{ direction, key, mode, errors, payload, meta }`; see `unitySchema.js`.
+ *
+ * @param {function(Object):void} handler
+ * @returns {function():void} unsubscribe function.
+ */
+function onValidationError(handler) {
+    if (typeof handler !== 'function') {
+        console.warn('[unity.api] onValidationError: handler must be a function');
+        return () => { };
+    }
+    return unitySchema.onValidationError(handler);
+}
+
+/**
+ * Ask Unity to pause (stop time and audio). Sent to `ReactLifecycle.Pause` with `{ reason }`.
+ * While Unity isn't ready only the latest pause/resume command is kept in the queue.
+ *
+ * @param {string} [reason='app'] - why, e.g. 'hidden', 'blur', 'prop'
+ * @param {Object} [options] - `{ instanceId }` and other `send` options
+ * @returns {boolean} true if sent or queued
+ */
+function pause(reason = 'app', options = {}) {
+    return unityBridge.send(LIFECYCLE_OBJECT, 'Pause', { reason }, { coalesceKey: 'lifecycle:pause', ...options });
+}
+
+/**
+ * Ask Unity to resume after `pause`. Sent to `ReactLifecycle.Resume` with `{ reason }`.
+ *
+ * @param {string} [reason='app']
+ * @param {Object} [options] - `{ instanceId }` and other `send` options
+ * @returns {boolean} true if sent or queued
+ */
+function resume(reason = 'app', options = {}) {
+    return unityBridge.send(LIFECYCLE_OBJECT, 'Resume', { reason }, { coalesceKey: 'lifecycle:pause', ...options });
+}
+
+/**
+ * Mute or unmute Unity's audio. Sent to `ReactLifecycle.SetMuted` with `{ muted }`.
+ *
+ * @param {boolean} muted
+ * @param {Object} [options] - `{ instanceId }` and other `send` options
+ * @returns {boolean} true if sent or queued
+ */
+function setMuted(muted, options = {}) {
+    return unityBridge.send(LIFECYCLE_OBJECT, 'SetMuted', { muted: Boolean(muted) }, { coalesceKey: 'lifecycle:mute', ...options });
+}
+
+/**
+ * Listen for Unity's pause state reports (`{ paused, muted }`), sent after it handled a
+ * Pause / Resume / SetMuted command or paused on its own.
+ *
+ * @param {function({paused: boolean, muted: boolean}):void} handler
+ * @param {Object} [options] - `{ instanceId }`
+ * @returns {function():void} unsubscribe function.
+ */
+function onPauseState(handler, options = {}) {
+    return on(UNITY_PAUSE_STATE, handler, options);
+}
+
+/**
+ * Listen for what the Unity framework reports while running: console output, uncaught
+ * exceptions, aborts and out-of-memory errors (see `unityRuntimeEvents.js`).
+ *
+ * @example
+ * unityApi.onRuntimeEvent((event) => errorReporter.capture(event), { types: ['exception', 'abort', 'out-of-memory'] });
+ *
+ * @param {function(Object):void} handler - called with { id, type, fatal, message, source, filename, lineno, instanceId, at }
+ * @param {Object} [options] - `{ instanceId, types }`
+ * @returns {function():void} unsubscribe function.
+ */
+function onRuntimeEvent(handler, options = {}) {
+    return unityRuntimeEvents.subscribe(handler, options);
+}
+
+/**
+ * Return a copy of this API bound to one Unity instance, for pages that mount
+ * several `<UnityGame instanceId="...">` components.
+ *
+ * @example
+ * const preview = unityApi.forInstance('preview');
+ * preview.send({ zoom: 2 }, 'CameraRig', 'SetZoom');
+ * preview.on('UnityReady', () => { ... });
+ *
+ * @param {string} instanceId - The id passed to `<UnityGame instanceId>`.
+ * @returns {Object} { instanceId, send, sendBinary, deliver, call, on, off, onMessage, offMessage, whenReady, pause, resume, setMuted, onPauseState, onRuntimeEvent }
+ */
+function forInstance(instanceId) {
+    const scoped = (options) => ({ ...options, instanceId });
+    return {
+        instanceId,
+        send: (payload, objectName, methodName, queue = true) =>
+            send(payload, objectName, methodName, scoped(typeof queue === 'object' && queue !== null ? queue : { queue })),
+        sendBinary: (data, objectName, methodName, queue = true) =>
+            sendBinary(data, objectName, methodName, scoped(typeof queue === 'object' && queue !== null ? queue : { queue })),
+        deliver: (payload, objectName, methodName, options = {}) => deliver(payload, objectName, methodName, scoped(options)),
+        call: (objectName, methodName, payload, options = {}) => call(objectName, methodName, payload, scoped(options)),
+        on: (event, handler) => on(event, handler, { instanceId }),
+        off: (event, handler) => off(event, handler, { instanceId }),
+        onMessage: (handler) => onMessage(handler, { instanceId }),
+        offMessage: (handler) => offMessage(handler, { instanceId }),
+        whenReady: () => whenReady(instanceId),
+        pause: (reason, options = {}) => pause(reason, scoped(options)),
+        resume: (reason, options = {}) => resume(reason, scoped(options)),
+        setMuted: (muted, options = {}) => setMuted(muted, scoped(options)),
+        onPauseState: (handler) => onPauseState(handler, { instanceId }),
+        onRuntimeEvent: (handler, options = {}) => onRuntimeEvent(handler, { ...options, instanceId }),
+    };
 }
 
 
 
 export default {
     send,
+    sendBinary,
+    deliver,
+    setQueuePolicy,
+    setBatching,
+    setChunking,
+    setAllowedTypes,
+    setWindowEvents,
+    call,
     on,
     off,
     whenReady,
     onMessage,
     offMessage,
+    forInstance,
+    onValidationError,
+    onOutbound,
+    pause,
+    resume,
+    setMuted,
+    onPauseState,
+    onRuntimeEvent,
 };
+
+export { DEFAULT_INSTANCE_ID };
@@ -0,0 +1,155 @@
+/**
+ * unityAssetCache — versioned offline cache for Unity build files.
+ *
+ * Purpose:
+ * - Keep `.loader.js`, `.framework.js`, `.wasm` and `.data` in the Cache API so repeat
+ *   visits (and offline visits) don't download them again.
+ * - Caches are keyed by build version; preparing a new version evicts the older ones.
+ * - Report cache hits and misses (with byte counts) so the savings are visible.
+ *
+ * The Unity loader resets its fetch hooks after reading the config, so caching is done
+ * by a service worker (`public/unity-cache-sw.js`) instead of wrapping fetch. `prepare`
+ * registers it, waits until it controls the page and tells it which URLs belong to which
+ * build version. It never throws: when service workers are unavailable (http, private
+ * mode, unsupported browser) loading simply goes to the network.
+ *
+ * @example
+ * unityAssetCache.onCacheEvent((e) => console.log(e.type, e.url, e.bytes));
+ * await unityAssetCache.prepare({ build: 'UnityGame', version: '1.2.0', urls: [...] });
+ */
+
+const DEFAULT_SCRIPT_URL = '/unity-cache-sw.js';
+const DEFAULT_TIMEOUT = 3000;
+
+const listeners = new Set();
+const stats = { hits: 0, misses: 0, bytesFromCache: 0, bytesFromNetwork: 0 };
+let registrationPromise = null;
+let listening = false;
+
+function _supported() {
+    return typeof navigator !== 'undefined' && 'serviceWorker' in navigator && typeof caches !== 'undefined';
+}
+
+function _emit(event) {
+    for (const fn of Array.from(listeners)) {
+        try { fn(event); } catch (err) { console.error('unityAssetCache listener error', err); }
+    }
+}
+
+function _onWorkerMessage(event) {
+    const data = event.data;
+    if (!data || data.source !== 'unity-cache') return;
+    if (data.type === 'hit') {
+        stats.hits += 1;
+        stats.bytesFromCache += data.bytes || 0;
+    } else if (data.type === 'miss') {
+        stats.misses += 1;
+        stats.bytesFromNetwork += data.bytes || 0;
+    }
+    _emit({ type: data.type, url: data.url, version: data.version, bytes: data.bytes, status: data.status });
+}
+
+function _listen() {
+    if (listening) return;
+    listening = true;
+    navigator.serviceWorker.addEventListener('message', _onWorkerMessage);
+}
+
+function _timeout(promise, ms, message) {
+    return Promise.race([
+        promise,
+        new Promise((_, reject) => setTimeout(() => reject(new Error(message)), ms)),
+    ]);
+}
+
+// Resolves once a service worker controls this page (right after the first install
+// thanks to clients.claim()).
+function _controller() {
+    if (navigator.serviceWorker.controller) return Promise.resolve(navigator.serviceWorker.controller);
+    return new Promise((resolve) => {
+        navigator.serviceWorker.addEventListener('controllerchange', () => resolve(navigator.serviceWorker.controller), { once: true });
+    });
+}
+
+function _post(worker, message) {
+    return new Promise((resolve, reject) => {
+        const channel = new MessageChannel();
+        channel.port1.onmessage = (e) => {
+            if (e.data && e.data.ok) resolve(e.data);
+            else reject(new Error((e.data && e.data.error) || 'unity cache worker error'));
+        };
+        worker.postMessage(message, [channel.port2]);
+    });
+}
+
+async function _worker(scriptUrl, timeout) {
+    if (!registrationPromise) {
+        registrationPromise = navigator.serviceWorker.register(scriptUrl).catch((err) => {
+            registrationPromise = null;
+            throw err;
+        });
+    }
+    await registrationPromise;
+    _listen();
+    return _timeout(_controller(), timeout, 'unity cache worker did not take control in time');
+}
+
+/**
+ * Register the cache worker and configure the files of one build version.
+ *
+ * @param {Object} options
+ * @param {string} [options.build='default'] - build name; versions of the same build replace each other
+ * @param {string} options.version - build version; files are cached per version
+ * @param {string[]} options.urls - build file URLs to cache (relative URLs resolve against the page)
+ * @param {string} [options.scriptUrl='/unity-cache-sw.js'] - service worker script
+ * @param {number} [options.timeout=3000] - ms to wait for the worker before loading uncached
+ * @returns {Promise<{enabled: boolean, evicted?: string[], reason?: string}>} `evicted` lists removed versions
+ */
+export async function prepare({ build = 'default', version, urls, scriptUrl = DEFAULT_SCRIPT_URL, timeout = DEFAULT_TIMEOUT } = {}) {
+    if (!_supported()) return { enabled: false, reason: 'unsupported' };
+    if (!version) return { enabled: false, reason: 'no version' };
+    try {
+        const worker = await _worker(scriptUrl, timeout);
+        const absolute = urls.filter(Boolean).map((u) => new URL(u, window.location.href).href);
+        const result = await _timeout(_post(worker, { type: 'unity-cache:configure', build, version, urls: absolute }), timeout, 'unity cache worker did not answer in time');
+        for (const evictedVersion of result.evicted) _emit({ type: 'evict', build, version: evictedVersion });
+        return { enabled: true, evicted: result.evicted };
+    } catch (err) {
+        console.warn('[unityAssetCache] caching disabled, loading from the network', err);
+        return { enabled: false, reason: err.message };
+    }
+}
+
+/**
+ * Delete every cached Unity build.
+ * @returns {Promise<void>}
+ */
+export async function clear() {
+    if (!_supported() || !navigator.serviceWorker.controller) return;
+    await _post(navigator.serviceWorker.controller, { type: 'unity-cache:clear' });
+}
+
+/**
+ * Listen for cache events: `{ type: 'hit' | 'miss', url, version, bytes, status }` for
+ * each build file request and `{ type: 'evict', build, version }` for removed versions.
+ * @returns {function():void} unsubscribe
+ */
+export function onCacheEvent(fn) {
+    listeners.add(fn);
+    return () => listeners.delete(fn);
+}
+
+/**
+ * Totals since page load. `bytes*` only count responses with a Content-Length.
+ * @returns {{hits: number, misses: number, bytesFromCache: number, bytesFromNetwork: number}}
+ */
+export function getStats() {
+    return { ...stats };
+}
+
+export default {
+    prepare,
+    clear,
+    onCacheEvent,
+    getStats,
+};
@@ -1,90 +1,319 @@
-const handlers = new Map(); // eventName -> Set(fn)
-const globalHandlers = new Set(); // handlers that receive every message: (type, payload, meta)
-// centralize the DOM event name so it can be changed in one place
+import unitySchema, { VALIDATION_MODES } from './unitySchema';
+import unityTransfer from './unityTransfer';
+
+// id used when callers don't name an instance (single-player pages, older jslib builds)
+const DEFAULT_INSTANCE_ID = 'default';
+// scope key for handlers that observe messages from every instance
+const ANY_INSTANCE = '*';
+const handlers = new Map(); // scope -> Map(eventName -> Set(fn))
+const globalHandlers = new Map(); // scope -> Set(fn) receiving every message: (type, payload, meta)
+// DOM event of the window compatibility mode (see setWindowEvents); centralized so it can be changed in one place
 const UNITY_MESSAGE_EVENT = 'UnityMessage';
-let unityInstance = null;
-let queuedSends = [];
-let _readyPromise = null;
-let _readyResolve = null;
+// message type Unity uses to answer a `call` (see ReplyToJS / RejectToJS in UnityMessage.jslib)
+const UNITY_REPLY_TYPE = 'UnityReply';
+// envelope type for several Unity messages delivered in one event (see SendBatchToJS in UnityMessage.jslib)
+const UNITY_BATCH_TYPE = 'UnityBatch';
+// one piece of a large message Unity split up (see SendChunkToJS in UnityMessage.jslib)
+const UNITY_CHUNK_TYPE = 'UnityChunk';
+const DEFAULT_CALL_TIMEOUT = 10000;
+const pendingCalls = new Map(); // callId -> { resolve, reject, timer, objectName, methodName, instanceId }
+let _callCounter = 0;
+// observers of outbound traffic: fn({ id, status, objectName, methodName, payload, instanceId, reason, at })
+const outboundObservers = new Set();
+let _outboundCounter = 0;
+// default policy for messages queued while an instance isn't ready; per-send options override it
+//   maxSize: max queued messages per instance (Infinity = unbounded)
+//   dropPolicy: 'oldest' evicts the head of the queue on overflow, 'newest' refuses the new message
+//   ttl: ms a queued message stays deliverable (0 = forever)
+const queuePolicy = { maxSize: Infinity, dropPolicy: 'oldest', ttl: 0 };
+// error codes a delivery receipt rejects with, keyed by drop reason
+const DROP_ERROR_CODES = {
+    'not-ready': 'UNITY_NOT_READY',
+    cleared: 'UNITY_INSTANCE_CLEARED',
+    invalid: 'UNITY_SCHEMA_INVALID',
+    overflow: 'UNITY_QUEUE_OVERFLOW',
+    expired: 'UNITY_SEND_EXPIRED',
+    coalesced: 'UNITY_SEND_SUPERSEDED',
+};
+// opt-in outbound batching: sends collected within one window are delivered as a single
+// SendMessage(objectName, methodName, '{"messages":[{ objectName, methodName, payload }]}')
+// to a dispatcher GameObject in Unity, which forwards each entry in order.
+//   enabled: batch every send by default (per-send `batch` overrides)
+//   window: 'frame' (requestAnimationFrame) or a delay in ms
+//   maxSize: deliver early once this many messages are waiting
+const batching = { enabled: false, window: 'frame', objectName: 'ReactBatchDispatcher', methodName: 'OnBatch', maxSize: 100 };
+// per-instance state: instanceId -> { instance, queuedSends, batch, batchCancel, readyPromise, readyResolve }
+const instances = new Map();
 let _globalListenerInstalled = false;
 // store the actual window listener so it can be removed on HMR/module dispose
 let _windowUnityMessageListener = null;
+// inbound message types handlers get to see (null = any); the bridge's own envelopes
+// (batches, chunks, replies) are always unpacked and their contents checked
+let allowedTypes = null;
+const _refusedTypes = new Set(); // types already warned about, so a chatty sender logs once
+
+function _scope(instanceId) {
+    return instanceId === undefined || instanceId === null ? ANY_INSTANCE : instanceId;
+}
 
-function _ensureReadyPromise() {
-    if (!_readyPromise) {
-        _readyPromise = new Promise((resolve) => { _readyResolve = resolve; });
+function _getSlot(instanceId = DEFAULT_INSTANCE_ID) {
+    if (!instances.has(instanceId)) {
+        instances.set(instanceId, { instance: null, queuedSends: [], batch: [], batchCancel: null, readyPromise: null, readyResolve: null });
     }
-    return _readyPromise;
+    return instances.get(instanceId);
 }
 
+function _ensureReadyPromise(slot) {
+    if (!slot.readyPromise) {
+        slot.readyPromise = new Promise((resolve) => { slot.readyResolve = resolve; });
+    }
+    return slot.readyPromise;
+}
 
-function registerHandler(eventName, fn) {
-    if (!handlers.has(eventName)) handlers.set(eventName, new Set());
-    handlers.get(eventName).add(fn);
+
+/**
+ * Register a handler for a message type. Without `instanceId` the handler
+ * receives the type from every instance; with it, only from that instance.
+ */
+function registerHandler(eventName, fn, { instanceId } = {}) {
+    const scope = _scope(instanceId);
+    if (!handlers.has(scope)) handlers.set(scope, new Map());
+    const byEvent = handlers.get(scope);
+    if (!byEvent.has(eventName)) byEvent.set(eventName, new Set());
+    byEvent.get(eventName).add(fn);
 }
 
-function unregisterHandler(eventName, fn) {
-    const s = handlers.get(eventName);
+function unregisterHandler(eventName, fn, { instanceId } = {}) {
+    const scope = _scope(instanceId);
+    const byEvent = handlers.get(scope);
+    if (!byEvent) return;
+    const s = byEvent.get(eventName);
     if (s) {
         s.delete(fn);
-        if (s.size === 0) handlers.delete(eventName);
+        if (s.size === 0) byEvent.delete(eventName);
     }
+    if (byEvent.size === 0) handlers.delete(scope);
 }
 
-function emitToHandlers(eventName, payload) {
-    const s = handlers.get(eventName);
-    if (!s) return;
-    for (const fn of Array.from(s)) {
-        try { fn(payload); } catch (e) { console.error('unityBridge handler error', e); }
+function emitToHandlers(eventName, payload, instanceId) {
+    for (const scope of [ANY_INSTANCE, instanceId]) {
+        const byEvent = handlers.get(scope);
+        const s = byEvent && byEvent.get(eventName);
+        if (!s) continue;
+        for (const fn of Array.from(s)) {
+            try { fn(payload); } catch (e) { console.error('unityBridge handler error', e); }
+        }
     }
 }
 
-function registerGlobalHandler(fn) {
-    if (typeof fn === 'function') globalHandlers.add(fn);
+function registerGlobalHandler(fn, { instanceId } = {}) {
+    if (typeof fn !== 'function') return;
+    const scope = _scope(instanceId);
+    if (!globalHandlers.has(scope)) globalHandlers.set(scope, new Set());
+    globalHandlers.get(scope).add(fn);
 }
 
-function unregisterGlobalHandler(fn) {
-    if (globalHandlers.has(fn)) globalHandlers.delete(fn);
+function unregisterGlobalHandler(fn, { instanceId } = {}) {
+    const scope = _scope(instanceId);
+    const s = globalHandlers.get(scope);
+    if (!s) return;
+    s.delete(fn);
+    if (s.size === 0) globalHandlers.delete(scope);
 }
 
 function emitToGlobalHandlers(type, payload, meta) {
-    for (const fn of Array.from(globalHandlers)) {
-        try { fn(type, payload, meta); } catch (e) { console.error('unityBridge global handler error', e); }
+    for (const scope of [ANY_INSTANCE, meta.instanceId]) {
+        const s = globalHandlers.get(scope);
+        if (!s) continue;
+        for (const fn of Array.from(s)) {
+            try { fn(type, payload, meta); } catch (e) { console.error('unityBridge global handler error', e); }
+        }
+    }
+}
+
+function registerOutboundObserver(fn) {
+    if (typeof fn === 'function') outboundObservers.add(fn);
+}
+
+function unregisterOutboundObserver(fn) {
+    outboundObservers.delete(fn);
+}
+
+/**
+ * Report an outbound message's lifecycle to observers (devtools, recorders).
+ * status: 'sent' | 'queued' | 'flushed' | 'dropped' | 'failed'
+ */
+function _notifyOutbound(status, item, reason) {
+    if (status !== 'queued') _settleDelivery(item, status, reason);
+    if (outboundObservers.size === 0) return;
+    const event = {
+        id: item.id,
+        status,
+        objectName: item.objectName,
+        methodName: item.methodName,
+        payload: item.payload,
+        instanceId: item.instanceId,
+        reason,
+        at: Date.now(),
+    };
+    for (const fn of Array.from(outboundObservers)) {
+        try { fn(event); } catch (e) { console.error('unityBridge outbound observer error', e); }
+    }
+}
+
+/**
+ * Settle a message's delivery receipt (see `deliver`) once its fate is known.
+ */
+function _settleDelivery(item, status, reason) {
+    if (item.expiryTimer) {
+        clearTimeout(item.expiryTimer);
+        item.expiryTimer = null;
+    }
+    if (typeof item.onSettled !== 'function') return;
+    const onSettled = item.onSettled;
+    item.onSettled = null;
+    if (status === 'sent' || status === 'flushed') {
+        onSettled(null, { status, id: item.id });
+        return;
+    }
+    const code = status === 'failed' ? 'UNITY_SEND_FAILED' : (DROP_ERROR_CODES[reason] || 'UNITY_SEND_DROPPED');
+    const err = new Error(`Unity message ${item.objectName}.${item.methodName} was ${status}${reason ? ` (${reason})` : ''}`);
+    err.code = code;
+    err.status = status;
+    err.reason = reason;
+    onSettled(err);
+}
+
+/**
+ * Change the default queue policy applied to sends made while Unity isn't ready.
+ * @param {{maxSize?: number, dropPolicy?: 'oldest'|'newest', ttl?: number}} policy
+ */
+function setQueuePolicy(policy = {}) {
+    Object.assign(queuePolicy, policy);
+}
+
+function _removeQueued(slot, item) {
+    const idx = slot.queuedSends.indexOf(item);
+    if (idx !== -1) slot.queuedSends.splice(idx, 1);
+}
+
+function _dropQueued(instanceId, match, reason) {
+    const slot = _getSlot(instanceId);
+    for (const item of slot.queuedSends.filter(match)) {
+        _removeQueued(slot, item);
+        _notifyOutbound('dropped', item, reason);
     }
 }
 
-function setInstance(instance) {
-    unityInstance = instance;
+/**
+ * Add an item to its instance's queue, applying coalescing, bounds and TTL.
+ * Returns false when the item itself was refused.
+ */
+function _enqueue(slot, item, { maxQueue = queuePolicy.maxSize, dropPolicy = queuePolicy.dropPolicy, ttl = queuePolicy.ttl }) {
+    // only the latest message per coalescing key is kept
+    if (item.coalesceKey !== undefined && item.coalesceKey !== null) {
+        for (const queued of slot.queuedSends.slice()) {
+            if (queued.coalesceKey !== item.coalesceKey) continue;
+            _removeQueued(slot, queued);
+            _notifyOutbound('dropped', queued, 'coalesced');
+        }
+    }
+    if (slot.queuedSends.length >= maxQueue) {
+        if (dropPolicy === 'newest' || maxQueue <= 0) {
+            _notifyOutbound('dropped', item, 'overflow');
+            return false;
+        }
+        while (slot.queuedSends.length >= maxQueue) {
+            _notifyOutbound('dropped', slot.queuedSends.shift(), 'overflow');
+        }
+    }
+    slot.queuedSends.push(item);
+    _notifyOutbound('queued', item);
+    if (ttl > 0) {
+        item.expiresAt = Date.now() + ttl;
+        item.expiryTimer = setTimeout(() => {
+            item.expiryTimer = null;
+            _removeQueued(slot, item);
+            _notifyOutbound('dropped', item, 'expired');
+        }, ttl);
+    }
+    return true;
+}
+
+function setInstance(instance, instanceId = DEFAULT_INSTANCE_ID) {
+    const slot = _getSlot(instanceId);
+    slot.instance = instance;
     // flush queued sends
-    if (unityInstance && queuedSends.length > 0) {
-        for (const item of queuedSends) {
-            try { doSend(item.objectName, item.methodName, item.payload); } catch (e) { /* swallow */ }
+    if (slot.instance && slot.queuedSends.length > 0) {
+        const queued = slot.queuedSends;
+        slot.queuedSends = [];
+        for (const item of queued) {
+            // a TTL timer may not have fired yet while the tab was throttled
+            if (item.expiresAt && item.expiresAt <= Date.now()) {
+                _notifyOutbound('dropped', item, 'expired');
+                continue;
+            }
+            if (item.batch) {
+                item.deliveredStatus = 'flushed';
+                slot.batch.push(item);
+                continue;
+            }
+            _flushBatch(instanceId);
+            let ok = false;
+            try { ok = doSend(item.objectName, item.methodName, item.payload, instanceId); } catch (e) { /* swallow */ }
+            _notifyOutbound(ok ? 'flushed' : 'failed', item);
         }
-        queuedSends = [];
+        _flushBatch(instanceId);
     }
     // resolve any pending whenReady promise
-    if (_readyResolve) {
-        try { _readyResolve(unityInstance); } catch (e) { /* ignore */ }
-        _readyPromise = null;
-        _readyResolve = null;
+    if (slot.instance && slot.readyResolve) {
+        try { slot.readyResolve(slot.instance); } catch (e) { /* ignore */ }
+        slot.readyPromise = null;
+        slot.readyResolve = null;
     }
 }
 
-function clearInstance() {
-    unityInstance = null;
-    queuedSends = [];
+function clearInstance(instanceId = DEFAULT_INSTANCE_ID) {
+    const slot = _getSlot(instanceId);
+    slot.instance = null;
+    if (slot.batchCancel) slot.batchCancel();
+    slot.batchCancel = null;
+    const discarded = [...slot.batch, ...slot.queuedSends];
+    slot.batch = [];
+    slot.queuedSends = [];
+    for (const item of discarded) _notifyOutbound('dropped', item, 'cleared');
+    unityTransfer.dropInstance(instanceId);
+    // the instance that would have answered is gone; settle outstanding calls
+    _rejectPendingCalls(instanceId, 'UNITY_INSTANCE_CLEARED', 'Unity instance was cleared before replying');
     // reset ready promise so callers can await next instance
-    _readyPromise = null;
-    _readyResolve = null;
+    slot.readyPromise = null;
+    slot.readyResolve = null;
 }
 
-function doSend(objectName, methodName, payload) {
-    if (!unityInstance || typeof unityInstance.SendMessage !== 'function') return false;
+function getInstance(instanceId = DEFAULT_INSTANCE_ID) {
+    const slot = instances.get(instanceId);
+    return slot ? slot.instance : null;
+}
+
+function _encodePayload(payload) {
     let arg = payload;
     if (payload !== undefined && typeof payload !== 'string') {
         try { arg = JSON.stringify(payload); } catch (e) { arg = String(payload); }
     }
+    return arg;
+}
+
+function doSend(objectName, methodName, payload, instanceId = DEFAULT_INSTANCE_ID) {
+    const unityInstance = getInstance(instanceId);
+    if (!unityInstance || typeof unityInstance.SendMessage !== 'function') return false;
+    const arg = _encodePayload(payload);
     try {
+        // too long for one SendMessage: the chunk receiver joins the pieces and forwards them
+        const split = unityTransfer.splitOutbound(objectName, methodName, arg);
+        if (split) {
+            for (const chunk of split.chunks) unityInstance.SendMessage(split.objectName, split.methodName, chunk);
+            return true;
+        }
         unityInstance.SendMessage(objectName, methodName, arg);
         return true;
     } catch (err) {
@@ -93,20 +322,335 @@ function doSend(objectName, methodName, payload) {
     }
 }
 
-function send(objectName, methodName, payload, { queue = true } = {}) {
+/**
+ * Configure outbound batching (see `batching` above for the options).
+ * @param {{enabled?: boolean, window?: ('frame'|number), objectName?: string, methodName?: string, maxSize?: number}} options
+ */
+function setBatching(options = {}) {
+    Object.assign(batching, options);
+}
+
+/**
+ * Configure how payloads too long for one SendMessage are split (see unityTransfer).
+ * @param {{enabled?: boolean, maxSize?: number, objectName?: string, methodName?: string, ttl?: number}} options
+ */
+function setChunking(options = {}) {
+    unityTransfer.setChunking(options);
+}
+
+function _scheduleBatch(instanceId, slot) {
+    if (slot.batchCancel) return;
+    const run = () => {
+        slot.batchCancel = null;
+        _flushBatch(instanceId);
+    };
+    if (batching.window === 'frame' && typeof requestAnimationFrame === 'function') {
+        const handle = requestAnimationFrame(run);
+        slot.batchCancel = () => cancelAnimationFrame(handle);
+    } else {
+        const handle = setTimeout(run, typeof batching.window === 'number' ? batching.window : 16);
+        slot.batchCancel = () => clearTimeout(handle);
+    }
+}
+
+/**
+ * Deliver an instance's pending batch as one envelope. Called on schedule, when the
+ * batch is full, and before any unbatched send so per-message order is kept.
+ */
+function _flushBatch(instanceId) {
+    const slot = _getSlot(instanceId);
+    if (slot.batchCancel) slot.batchCancel();
+    slot.batchCancel = null;
+    if (slot.batch.length === 0) return;
+    const items = slot.batch;
+    slot.batch = [];
+    const messages = items.map((item) => {
+        const entry = { objectName: item.objectName, methodName: item.methodName };
+        if (item.payload !== undefined) entry.payload = _encodePayload(item.payload);
+        return entry;
+    });
+    const ok = doSend(batching.objectName, batching.methodName, { messages }, instanceId);
+    for (const item of items) _notifyOutbound(ok ? item.deliveredStatus : 'failed', item);
+}
+
+function _addToBatch(instanceId, item) {
+    const slot = _getSlot(instanceId);
+    slot.batch.push(item);
+    if (slot.batch.length >= batching.maxSize) _flushBatch(instanceId);
+    else _scheduleBatch(instanceId, slot);
+}
+
+/**
+ * Validate an outbound payload against the schema registry.
+ * Returns false when the message must not be delivered; throws in 'reject' mode.
+ */
+function _validateOutbound(objectName, methodName, payload, instanceId) {
+    const result = unitySchema.checkOutbound(objectName, methodName, payload, { instanceId });
+    if (result.deliver) return true;
+    _notifyOutbound('dropped', { id: `out-${++_outboundCounter}`, objectName, methodName, payload, instanceId }, 'invalid');
+    if (result.report.mode === VALIDATION_MODES.REJECT) throw unitySchema.toError(result.report);
+    return false;
+}
+
+/**
+ * Send a message to a Unity GameObject method, queueing it while the instance isn't ready.
+ *
+ * Queue options (per send, defaults from `setQueuePolicy`):
+ * - maxQueue / dropPolicy: bound the instance's queue; 'oldest' evicts queued messages, 'newest' refuses this one
+ * - ttl: ms after which a still-queued message expires
+ * - coalesceKey: a queued message with the same key is replaced by this one
+ *
+ * `batch: true` (or `setBatching({ enabled: true })`) collects the message into the next
+ * batch envelope instead of calling SendMessage right away.
+ *
+ * @returns {boolean} true if sent or queued
+ */
+function send(objectName, methodName, payload, options = {}) {
+    const { instanceId = DEFAULT_INSTANCE_ID } = options;
+    if (!_validateOutbound(objectName, methodName, payload, instanceId)) return false;
+    return _deliver(objectName, methodName, payload, { ...options, instanceId });
+}
+
+/**
+ * Like `send`, but returns a delivery receipt: a promise that resolves with
+ * `{ status: 'sent' | 'flushed', id }` once Unity received the message, and rejects
+ * (Error with `code`, `status`, `reason`) when it is refused, expires, is superseded
+ * by a coalesced send, or is discarded because the instance was cleared.
+ *
+ * @returns {Promise<{status: string, id: string}>}
+ */
+function deliver(objectName, methodName, payload, options = {}) {
+    return new Promise((resolve, reject) => {
+        const { instanceId = DEFAULT_INSTANCE_ID } = options;
+        const onSettled = (err, receipt) => (err ? reject(err) : resolve(receipt));
+        if (!_validateOutbound(objectName, methodName, payload, instanceId)) {
+            _settleDelivery({ objectName, methodName, onSettled }, 'dropped', 'invalid');
+            return;
+        }
+        _deliver(objectName, methodName, payload, { ...options, instanceId, onSettled });
+    });
+}
+
+/**
+ * Send bytes to a Unity method. Unity gets `{ transferId, length }` as the message argument
+ * and copies the bytes into its heap with `CopyBinaryFromJS(transferId, buffer, length)`
+ * (UnityMessage.jslib). Queueing and batching work as for `send`; schemas are not checked.
+ *
+ * @param {ArrayBuffer|ArrayBufferView} data - copied, so the caller may reuse it
+ * @param {Object} [options] - `send` options plus `binaryTtl`: ms the bytes wait for Unity
+ *   to copy them once delivered
+ * @returns {boolean} true if sent or queued
+ */
+function sendBinary(objectName, methodName, data, { binaryTtl, ...options } = {}) {
+    const { instanceId = DEFAULT_INSTANCE_ID } = options;
+    const bytes = unityTransfer.toBytes(data);
+    if (!bytes) throw new TypeError('unityBridge.sendBinary expects an ArrayBuffer or a typed array');
+    const descriptor = unityTransfer.putBinary(bytes, instanceId);
+    // bytes that will never be asked for are dropped right away
+    const onSettled = (err) => {
+        if (err) unityTransfer.dropBinary(descriptor.transferId);
+        else unityTransfer.expireBinary(descriptor.transferId, binaryTtl);
+    };
+    return _deliver(objectName, methodName, descriptor, { ...options, instanceId, onSettled });
+}
+
+function _deliver(objectName, methodName, payload, { queue = true, instanceId = DEFAULT_INSTANCE_ID, coalesceKey, batch, onSettled, ...queueOptions }) {
+    const item = { id: `out-${++_outboundCounter}`, objectName, methodName, payload, instanceId, coalesceKey, onSettled };
+    item.batch = batch === undefined ? batching.enabled : !!batch;
+    const unityInstance = getInstance(instanceId);
     if (unityInstance && typeof unityInstance.SendMessage === 'function') {
-        return doSend(objectName, methodName, payload);
+        if (item.batch) {
+            item.deliveredStatus = 'sent';
+            _addToBatch(instanceId, item);
+            return true;
+        }
+        // earlier batched messages must reach Unity before this one
+        _flushBatch(instanceId);
+        const ok = doSend(objectName, methodName, payload, instanceId);
+        _notifyOutbound(ok ? 'sent' : 'failed', item);
+        return ok;
     }
     if (queue) {
-        queuedSends.push({ objectName, methodName, payload });
-        return true;
+        return _enqueue(_getSlot(instanceId), item, queueOptions);
     }
+    _notifyOutbound('dropped', item, 'not-ready');
     return false;
 }
 
-function whenReady() {
-    if (unityInstance) return Promise.resolve(unityInstance);
-    return _ensureReadyPromise();
+function _settleCall(callId, error, payload) {
+    const pending = pendingCalls.get(callId);
+    if (!pending) return false;
+    pendingCalls.delete(callId);
+    if (pending.timer) clearTimeout(pending.timer);
+    if (error) pending.reject(error);
+    else pending.resolve(payload);
+    return true;
+}
+
+function _callError(code, message, pending) {
+    const target = pending ? ` (${pending.objectName}.${pending.methodName})` : '';
+    const err = new Error(`${message}${target}`);
+    err.code = code;
+    return err;
+}
+
+function _rejectPendingCalls(instanceId, code, message) {
+    for (const [callId, pending] of Array.from(pendingCalls)) {
+        if (pending.instanceId !== instanceId) continue;
+        _settleCall(callId, _callError(code, message, pending));
+    }
+}
+
+/**
+ * Send a message to Unity and wait for its reply.
+ *
+ * The payload is wrapped as `{ callId, payload }`; Unity answers by calling
+ * `ReplyToJS(callId, json)` or `RejectToJS(callId, message)` from the jslib,
+ * which arrive here as `UnityReply` messages carrying `meta.callId`.
+ *
+ * @returns {Promise<any>} resolves with the (JSON-parsed when possible) reply payload
+ */
+function call(objectName, methodName, payload, { timeout = DEFAULT_CALL_TIMEOUT, queue = true, instanceId = DEFAULT_INSTANCE_ID, ...queueOptions } = {}) {
+    const callId = `call-${++_callCounter}`;
+    try {
+        if (!_validateOutbound(objectName, methodName, payload, instanceId)) {
+            return Promise.reject(_callError('UNITY_CALL_NOT_SENT', 'Payload failed schema validation', { objectName, methodName }));
+        }
+    } catch (err) {
+        return Promise.reject(err);
+    }
+    return new Promise((resolve, reject) => {
+        const pending = { resolve, reject, timer: null, objectName, methodName, instanceId };
+        pendingCalls.set(callId, pending);
+        // a queued call that expires, overflows or is superseded will never be answered
+        const onSettled = (err) => {
+            if (!err) return;
+            if (err.reason === 'cleared') _settleCall(callId, _callError('UNITY_INSTANCE_CLEARED', 'Unity instance was cleared before replying', pending));
+            else _settleCall(callId, _callError('UNITY_CALL_NOT_SENT', `Call was not delivered: ${err.reason || err.status}`, pending));
+        };
+        if (timeout > 0) {
+            pending.timer = setTimeout(() => {
+                _settleCall(callId, _callError('UNITY_CALL_TIMEOUT', `Unity did not reply within ${timeout}ms`, pending));
+                // nobody waits for the answer any more: don't send it once the instance is ready
+                _dropQueued(instanceId, (item) => item.onSettled === onSettled, 'expired');
+            }, timeout);
+        }
+        _deliver(objectName, methodName, { callId, payload }, { ...queueOptions, queue, instanceId, onSettled });
+    });
+}
+
+function _handleReply(meta, payload) {
+    if (!meta || meta.callId === undefined || meta.callId === null) return;
+    const pending = pendingCalls.get(meta.callId);
+    // only the instance that was called can answer
+    if (!pending || pending.instanceId !== meta.instanceId) return;
+    if (meta.error !== undefined && meta.error !== null) {
+        const err = _callError('UNITY_CALL_REJECTED', `Unity rejected the call: ${meta.error}`, pending);
+        err.payload = payload;
+        _settleCall(meta.callId, err);
+    } else {
+        _settleCall(meta.callId, null, payload);
+    }
+}
+
+function whenReady(instanceId = DEFAULT_INSTANCE_ID) {
+    const slot = _getSlot(instanceId);
+    if (slot.instance) return Promise.resolve(slot.instance);
+    return _ensureReadyPromise(slot);
+}
+
+// true (after warning once per type) when the allowlist drops messages of this type;
+// replies are exempt because `call` depends on them
+function _isRefused(type) {
+    if (!allowedTypes || type === UNITY_REPLY_TYPE || allowedTypes.has(type)) return false;
+    if (!_refusedTypes.has(type)) {
+        _refusedTypes.add(type);
+        console.warn(`[unityBridge] ignoring Unity message of type "${type}": not in the allowed types`);
+    }
+    return true;
+}
+
+/**
+ * Route one Unity message `{ type, payload, meta }` to the registered handlers.
+ * This is what an instance's private channel (see `configHooks`) and, in compatibility
+ * mode, the window listener call; tools that inject traffic (session replay) call it directly.
+ *
+ * @param {{type: string, payload: any, meta?: Object}} detail
+ */
+function receive(detail) {
+    if (!detail || typeof detail !== 'object') return;
+    const { type, payload } = detail;
+    // only skip if type is null/undefined; allow 0 or empty-string if ever used
+    if (type === undefined || type === null) return;
+    // normalize payload: if Unity sent a JSON string, parse it so handlers receive
+    // an object when possible (backwards-compatible with non-JSON strings)
+    let normalized = payload;
+    let parseFailed = false;
+    if (typeof payload === 'string') {
+        try {
+            normalized = JSON.parse(payload);
+        } catch (err) {
+            // keep original string if it isn't valid JSON
+            parseFailed = true;
+        }
+    }
+    // messages from jslib builds that don't stamp an instance id belong to the default instance
+    const meta = { ...(detail.meta && typeof detail.meta === 'object' ? detail.meta : {}) };
+    if (meta.instanceId === undefined || meta.instanceId === null) meta.instanceId = DEFAULT_INSTANCE_ID;
+    // unpack batch envelopes into their messages, in order
+    if (type === UNITY_BATCH_TYPE) {
+        const messages = Array.isArray(normalized) ? normalized : (normalized && normalized.messages);
+        if (!Array.isArray(messages)) return;
+        for (const msg of messages) {
+            // a batched message comes from the batch's sender, whatever its own meta says
+            if (msg && typeof msg === 'object') receive({ ...msg, meta: { ...meta, ...(msg.meta || {}), instanceId: meta.instanceId } });
+        }
+        return;
+    }
+    // collect the pieces of a large message; the joined message goes through receive again
+    if (type === UNITY_CHUNK_TYPE) {
+        // refuse the pieces of a type that would be dropped anyway instead of buffering them
+        if (normalized && typeof normalized === 'object' && _isRefused(normalized.type)) return;
+        const joined = unityTransfer.addChunk(normalized, meta.instanceId);
+        if (joined) receive({ type: joined.type, payload: joined.payload, meta });
+        return;
+    }
+    if (_isRefused(type)) return;
+    // registered schemas decide whether a malformed message is still delivered
+    if (!unitySchema.checkInbound(type, normalized, meta, { parseFailed }).deliver) return;
+    // replies settle the matching pending `call`; they are still routed below so observers see them
+    if (type === UNITY_REPLY_TYPE) _handleReply(meta, normalized);
+    // route typed message to handlers registered under the type name
+    emitToHandlers(type, normalized, meta.instanceId);
+    // also call any global handlers that want to observe all messages
+    emitToGlobalHandlers(type, normalized, meta);
+}
+
+/**
+ * Config keys for createUnityInstance that give an instance its private channel to the
+ * bridge. The jslib (`$ReactBridge.emit` in UnityMessage.jslib) calls `reactChannel`
+ * instead of dispatching window events, so only the instance can deliver its messages;
+ * `meta.instanceId` is always the channel's own id.
+ *
+ * @param {string} [instanceId]
+ * @returns {{reactChannel: function(Object):void}}
+ */
+function configHooks(instanceId = DEFAULT_INSTANCE_ID) {
+    return {
+        reactChannel: (detail) => {
+            if (!detail || typeof detail !== 'object') return;
+            receive({ ...detail, meta: { ...(detail.meta && typeof detail.meta === 'object' ? detail.meta : {}), instanceId } });
+        },
+    };
+}
+
+/**
+ * Only deliver inbound messages of these types; others are dropped with a warning.
+ * @param {Iterable<string>|null} types - null accepts every type
+ */
+function setAllowedTypes(types) {
+    allowedTypes = types ? new Set(types) : null;
+    _refusedTypes.clear();
 }
 
 // Wire global window events to emitToHandlers. Consumers still need to register handlers.
@@ -119,53 +663,63 @@ function _initGlobalListener() {
     // Single 'UnityMessage' event carrying { type, payload, meta }
     _windowUnityMessageListener = (e) => {
         const detail = e && 'detail' in e ? e.detail : undefined;
-        if (!detail || typeof detail !== 'object') return;
-        const { type, payload } = detail;
-        // only skip if type is null/undefined; allow 0 or empty-string if ever used
-        if (type === undefined || type === null) return;
-        // normalize payload: if Unity sent a JSON string, parse it so handlers receive
-        // an object when possible (backwards-compatible with non-JSON strings)
-        let normalized = payload;
-        if (typeof payload === 'string') {
-            try {
-                normalized = JSON.parse(payload);
-            } catch (err) {
-                // keep original string if it isn't valid JSON
-            }
-        }
-        // route typed message to handlers registered under the type name
-        emitToHandlers(type, normalized);
-        // also call any global handlers that want to observe all messages
-        emitToGlobalHandlers(type, normalized, detail && detail.meta);
+        receive(detail);
     };
     window.addEventListener(UNITY_MESSAGE_EVENT, _windowUnityMessageListener);
 }
 
+function _removeGlobalListener() {
+    try {
+        if (_windowUnityMessageListener && typeof window !== 'undefined') {
+            window.removeEventListener(UNITY_MESSAGE_EVENT, _windowUnityMessageListener);
+        }
+    } catch (e) {
+        // ignore
+    }
+    _windowUnityMessageListener = null;
+    _globalListenerInstalled = false;
+}
 
-_initGlobalListener();
+/**
+ * Compatibility mode: also accept `UnityMessage` CustomEvents on window, as sent by builds
+ * whose jslib predates the private channel. Any script on the page can dispatch those, so
+ * keep it off unless such a build has to be supported; `setAllowedTypes` still applies.
+ * @param {boolean} enabled
+ */
+function setWindowEvents(enabled) {
+    if (enabled) _initGlobalListener();
+    else _removeGlobalListener();
+}
 
 // HMR: remove the listener on module dispose to avoid duplicate listeners
 if (typeof import.meta !== 'undefined' && import.meta.hot && typeof import.meta.hot.dispose === 'function') {
     import.meta.hot.dispose(() => {
-        try {
-                if (_windowUnityMessageListener && typeof window !== 'undefined') {
-                window.removeEventListener(UNITY_MESSAGE_EVENT, _windowUnityMessageListener);
-            }
-        } catch (e) {
-            // ignore
-        }
-        _windowUnityMessageListener = null;
-        _globalListenerInstalled = false;
+        _removeGlobalListener();
     });
 }
 
+export { DEFAULT_INSTANCE_ID };
+
 export default {
     registerHandler,
     unregisterHandler,
     registerGlobalHandler,
     unregisterGlobalHandler,
+    registerOutboundObserver,
+    unregisterOutboundObserver,
     setInstance,
     clearInstance,
+    getInstance,
     send,
+    sendBinary,
+    deliver,
+    call,
+    setQueuePolicy,
+    setBatching,
+    setChunking,
     whenReady,
+    receive,
+    configHooks,
+    setAllowedTypes,
+    setWindowEvents,
 };
@@ -0,0 +1,326 @@
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import unityBridge from './unityBridge';
+import unityTransfer from './unityTransfer';
+import { createFakeUnity } from './fakeUnity';
+
+// Bridge edge cases driven through the fake: calls, queue policies, receipts, batching and
+// the inbound allowlist.
+let _idCounter = 0;
+const used = [];
+
+async function startFake(options = {}, { set = true } = {}) {
+    const instanceId = `bridge-${++_idCounter}`;
+    used.push(instanceId);
+    const fake = createFakeUnity({ autoReady: false, ...options });
+    const instance = await fake.createUnityInstance(null, { reactInstanceId: instanceId, ...unityBridge.configHooks(instanceId) });
+    if (set) unityBridge.setInstance(instance, instanceId);
+    return { fake, instance, instanceId };
+}
+
+afterEach(() => {
+    vi.useRealTimers();
+    vi.restoreAllMocks();
+    for (const instanceId of used.splice(0)) unityBridge.clearInstance(instanceId);
+});
+
+describe('unityBridge call()', () => {
+    it('ignores a reply from another instance with the same callId', async () => {
+        const called = await startFake();
+        const other = await startFake();
+        let settled = false;
+        const result = unityBridge.call('Inventory', 'Get', null, { instanceId: called.instanceId });
+        result.then(() => { settled = true; }, () => { settled = true; });
+        const { callId } = called.fake.sent[0].payload;
+
+        other.fake.reply(callId, { items: ['forged'] }, other.instanceId);
+        other.fake.reject(callId, 'forged', other.instanceId);
+        await Promise.resolve();
+        expect(settled).toBe(false);
+
+        called.fake.reply(callId, { items: ['sword'] }, called.instanceId);
+        await expect(result).resolves.toEqual({ items: ['sword'] });
+    });
+
+    it('takes a call that times out while queued off the queue', async () => {
+        vi.useFakeTimers();
+        const { fake, instance, instanceId } = await startFake({}, { set: false });
+        const statuses = [];
+        const observe = (event) => statuses.push(`${event.status}${event.reason ? `:${event.reason}` : ''}`);
+        unityBridge.registerOutboundObserver(observe);
+
+        const result = unityBridge.call('Inventory', 'Get', null, { instanceId, timeout: 100 });
+        const rejected = expect(result).rejects.toMatchObject({ code: 'UNITY_CALL_TIMEOUT' });
+        vi.advanceTimersByTime(100);
+        await rejected;
+        unityBridge.setInstance(instance, instanceId);
+        unityBridge.unregisterOutboundObserver(observe);
+
+        expect(fake.sent).toHaveLength(0);
+        expect(statuses).toEqual(['queued', 'dropped:expired']);
+    });
+});
+
+// records `method:status[:reason]` of one instance's outbound messages
+function observeOutbound(instanceId) {
+    const log = [];
+    const observe = (event) => {
+        if (event.instanceId === instanceId) log.push(`${event.methodName}:${event.status}${event.reason ? `:${event.reason}` : ''}`);
+    };
+    unityBridge.registerOutboundObserver(observe);
+    return { log, stop: () => unityBridge.unregisterOutboundObserver(observe) };
+}
+
+describe('unityBridge queue policies', () => {
+    afterEach(() => {
+        unityBridge.setQueuePolicy({ maxSize: Infinity, dropPolicy: 'oldest', ttl: 0 });
+    });
+
+    it("evicts the oldest queued message when a full queue uses dropPolicy 'oldest'", async () => {
+        const { fake, instance, instanceId } = await startFake({}, { set: false });
+        const outbound = observeOutbound(instanceId);
+
+        for (const n of [1, 2, 3]) unityBridge.send('Game', `M${n}`, { n }, { instanceId, maxQueue: 2 });
+        unityBridge.setInstance(instance, instanceId);
+        outbound.stop();
+
+        expect(fake.sentTo('Game').map((s) => s.methodName)).toEqual(['M2', 'M3']);
+        expect(outbound.log).toEqual(['M1:queued', 'M2:queued', 'M1:dropped:overflow', 'M3:queued', 'M2:flushed', 'M3:flushed']);
+    });
+
+    it("refuses the new message when a full queue uses dropPolicy 'newest'", async () => {
+        const { fake, instance, instanceId } = await startFake({}, { set: false });
+        unityBridge.setQueuePolicy({ maxSize: 1, dropPolicy: 'newest' });
+
+        expect(unityBridge.send('Game', 'M1', null, { instanceId })).toBe(true);
+        const refused = unityBridge.deliver('Game', 'M2', null, { instanceId });
+        unityBridge.setInstance(instance, instanceId);
+
+        await expect(refused).rejects.toMatchObject({ code: 'UNITY_QUEUE_OVERFLOW', status: 'dropped', reason: 'overflow' });
+        expect(fake.sentTo('Game').map((s) => s.methodName)).toEqual(['M1']);
+    });
+
+    it('expires queued messages after their ttl', async () => {
+        vi.useFakeTimers();
+        const { fake, instance, instanceId } = await startFake({}, { set: false });
+        const expired = unityBridge.deliver('Game', 'Short', null, { instanceId, ttl: 100 });
+        const kept = unityBridge.deliver('Game', 'Long', null, { instanceId, ttl: 1000 });
+        const rejected = expect(expired).rejects.toMatchObject({ code: 'UNITY_SEND_EXPIRED', reason: 'expired' });
+
+        vi.advanceTimersByTime(100);
+        await rejected;
+        unityBridge.setInstance(instance, instanceId);
+
+        await expect(kept).resolves.toMatchObject({ status: 'flushed' });
+        expect(fake.sentTo('Game').map((s) => s.methodName)).toEqual(['Long']);
+    });
+
+    it('drops a message whose ttl passed before its timer fired when the queue is flushed', async () => {
+        vi.useFakeTimers();
+        const { fake, instance, instanceId } = await startFake({}, { set: false });
+        const receipt = unityBridge.deliver('Game', 'Stale', null, { instanceId, ttl: 100 });
+
+        // a throttled background tab: the clock moved on, the timer didn't run
+        vi.setSystemTime(Date.now() + 500);
+        unityBridge.setInstance(instance, instanceId);
+
+        await expect(receipt).rejects.toMatchObject({ code: 'UNITY_SEND_EXPIRED' });
+        expect(fake.sent).toHaveLength(0);
+    });
+
+    it('replaces a queued message with the same coalesceKey', async () => {
+        const { fake, instance, instanceId } = await startFake({}, { set: false });
+        const first = unityBridge.deliver('Settings', 'SetVolume', { volume: 0.2 }, { instanceId, coalesceKey: 'volume' });
+        unityBridge.send('Settings', 'SetQuality', { quality: 'high' }, { instanceId });
+        const second = unityBridge.deliver('Settings', 'SetVolume', { volume: 0.8 }, { instanceId, coalesceKey: 'volume' });
+        unityBridge.setInstance(instance, instanceId);
+
+        await expect(first).rejects.toMatchObject({ code: 'UNITY_SEND_SUPERSEDED', reason: 'coalesced' });
+        await expect(second).resolves.toMatchObject({ status: 'flushed' });
+        expect(fake.sentTo('Settings').map((s) => s.payload)).toEqual([{ quality: 'high' }, { volume: 0.8 }]);
+    });
+});
+
+describe('unityBridge delivery receipts', () => {
+    it("resolves with 'sent' when the instance is ready", async () => {
+        const { instanceId } = await startFake();
+        await expect(unityBridge.deliver('Game', 'Now', null, { instanceId })).resolves.toMatchObject({ status: 'sent', id: expect.any(String) });
+    });
+
+    it("resolves with 'flushed' once a queued message reaches Unity", async () => {
+        const { instance, instanceId } = await startFake({}, { set: false });
+        const outbound = observeOutbound(instanceId);
+        const receipt = unityBridge.deliver('Game', 'Later', null, { instanceId });
+        unityBridge.setInstance(instance, instanceId);
+        outbound.stop();
+
+        await expect(receipt).resolves.toMatchObject({ status: 'flushed' });
+        expect(outbound.log).toEqual(['Later:queued', 'Later:flushed']);
+    });
+
+    it("rejects with 'dropped' when not ready and queueing is off", async () => {
+        const { instanceId } = await startFake({}, { set: false });
+        await expect(unityBridge.deliver('Game', 'Now', null, { instanceId, queue: false }))
+            .rejects.toMatchObject({ code: 'UNITY_NOT_READY', status: 'dropped', reason: 'not-ready' });
+    });
+
+    it("rejects with 'failed' when SendMessage throws", async () => {
+        vi.spyOn(console, 'error').mockImplementation(() => { });
+        const { instance, instanceId } = await startFake();
+        instance.SendMessage = () => { throw new Error('no such GameObject'); };
+
+        await expect(unityBridge.deliver('Missing', 'Method', null, { instanceId })).rejects.toMatchObject({ code: 'UNITY_SEND_FAILED', status: 'failed' });
+    });
+});
+
+describe('unityBridge outbound batching', () => {
+    afterEach(() => {
+        unityBridge.setBatching({ enabled: false, window: 'frame', maxSize: 100 });
+    });
+
+    // batchDispatcher: null keeps the envelopes in `sent` instead of unpacking them
+    const envelopes = (fake) => fake.sentTo('ReactBatchDispatcher', 'OnBatch').map((s) => s.payload.messages);
+
+    it('collects sends within the window into one ReactBatchDispatcher.OnBatch envelope', async () => {
+        vi.useFakeTimers();
+        unityBridge.setBatching({ enabled: true, window: 50 });
+        const { fake, instanceId } = await startFake({ batchDispatcher: null });
+        const outbound = observeOutbound(instanceId);
+
+        unityBridge.send('Game', 'First', { n: 1 }, { instanceId });
+        unityBridge.send('Hud', 'Second', 'text', { instanceId });
+        vi.advanceTimersByTime(49);
+        expect(fake.sent).toHaveLength(0);
+        vi.advanceTimersByTime(1);
+        outbound.stop();
+
+        expect(envelopes(fake)).toEqual([[
+            { objectName: 'Game', methodName: 'First', payload: '{"n":1}' },
+            { objectName: 'Hud', methodName: 'Second', payload: 'text' },
+        ]]);
+        expect(outbound.log).toEqual(['First:sent', 'Second:sent']);
+    });
+
+    it('delivers a batch early once maxSize messages are waiting', async () => {
+        vi.useFakeTimers();
+        unityBridge.setBatching({ enabled: true, window: 50, maxSize: 2 });
+        const { fake, instanceId } = await startFake({ batchDispatcher: null });
+
+        for (const n of [1, 2, 3]) unityBridge.send('Game', 'Tick', { n }, { instanceId });
+        expect(envelopes(fake).map((messages) => messages.length)).toEqual([2]);
+        vi.advanceTimersByTime(50);
+
+        expect(envelopes(fake).map((messages) => messages.length)).toEqual([2, 1]);
+    });
+
+    it('delivers the pending batch before an unbatched send', async () => {
+        vi.useFakeTimers();
+        const { fake, instanceId } = await startFake();
+
+        unityBridge.send('Game', 'Batched', null, { instanceId, batch: true });
+        unityBridge.send('Game', 'Direct', null, { instanceId });
+
+        // the fake's dispatcher forwards the envelope's messages like the C# one
+        expect(fake.sentTo('Game').map((s) => s.methodName)).toEqual(['Batched', 'Direct']);
+    });
+});
+
+// messages of `types` seen by an observer scoped like `options`
+function collect(types, options) {
+    const received = [];
+    const fn = (type, payload, meta) => {
+        if (types.includes(type)) received.push({ type, payload, instanceId: meta.instanceId });
+    };
+    unityBridge.registerGlobalHandler(fn, options);
+    return { received, stop: () => unityBridge.unregisterGlobalHandler(fn, options) };
+}
+
+describe('unityBridge inbound UnityBatch', () => {
+    it('routes each message of a batch to its own handlers, in order', async () => {
+        const { fake, instanceId } = await startFake();
+        const handlers = collect(['ScoreChanged', 'LevelLoaded'], { instanceId });
+
+        fake.emit('UnityBatch', { messages: [
+            { type: 'ScoreChanged', payload: '{"score":1}' },
+            { type: 'LevelLoaded', payload: '{"level":2}' },
+            { type: 'ScoreChanged', payload: '{"score":3}' },
+        ] });
+        // QueueMessageToJS batches may also arrive as a bare array
+        fake.emit('UnityBatch', [{ type: 'LevelLoaded', payload: 'menu' }]);
+        handlers.stop();
+
+        expect(handlers.received).toEqual([
+            { type: 'ScoreChanged', payload: { score: 1 }, instanceId },
+            { type: 'LevelLoaded', payload: { level: 2 }, instanceId },
+            { type: 'ScoreChanged', payload: { score: 3 }, instanceId },
+            { type: 'LevelLoaded', payload: 'menu', instanceId },
+        ]);
+    });
+
+    it("keeps a batch's messages with the instance that sent it", async () => {
+        const sender = await startFake();
+        const other = await startFake();
+        const forOther = collect(['ScoreChanged'], { instanceId: other.instanceId });
+        const forSender = collect(['ScoreChanged'], { instanceId: sender.instanceId });
+
+        sender.fake.emit('UnityBatch', { messages: [
+            { type: 'ScoreChanged', payload: '{"score":1}' },
+            { type: 'ScoreChanged', payload: '{"score":2}', meta: { instanceId: other.instanceId } },
+        ] });
+        forOther.stop();
+        forSender.stop();
+
+        expect(forOther.received).toEqual([]);
+        expect(forSender.received.map((m) => m.payload.score)).toEqual([1, 2]);
+    });
+});
+
+describe('unityBridge allowed types', () => {
+    afterEach(() => {
+        unityBridge.setAllowedTypes(null);
+    });
+
+    it("drops types missing from the allowlist on an instance's private channel, warning once", async () => {
+        const warn = vi.spyOn(console, 'warn').mockImplementation(() => { });
+        const { fake, instanceId } = await startFake();
+        unityBridge.setAllowedTypes(['ScoreChanged']);
+        const handlers = collect(['ScoreChanged', 'Injected'], { instanceId });
+
+        fake.emit('Injected', { admin: true });
+        fake.emit('ScoreChanged', { score: 1 });
+        fake.emit('Injected', { admin: true });
+        fake.emit('UnityBatch', [{ type: 'Injected', payload: '{}' }, { type: 'ScoreChanged', payload: '{"score":2}' }]);
+        handlers.stop();
+
+        expect(handlers.received.map((m) => m.type)).toEqual(['ScoreChanged', 'ScoreChanged']);
+        expect(warn).toHaveBeenCalledOnce();
+        expect(warn.mock.calls[0][0]).toContain('"Injected"');
+    });
+
+    it('still settles calls: replies are exempt', async () => {
+        const { fake, instanceId } = await startFake();
+        unityBridge.setAllowedTypes([]);
+        const result = unityBridge.call('Inventory', 'Get', null, { instanceId });
+
+        fake.reply(fake.sent[0].payload.callId, { items: [] }, instanceId);
+
+        await expect(result).resolves.toEqual({ items: [] });
+    });
+
+    it('applies to binary and chunked messages, refusing chunks before they are buffered', async () => {
+        vi.spyOn(console, 'warn').mockImplementation(() => { });
+        const addChunk = vi.spyOn(unityTransfer, 'addChunk');
+        const { fake, instanceId } = await startFake();
+        unityBridge.setAllowedTypes(['LevelFile', 'LevelData']);
+        const handlers = collect(['LevelFile', 'LevelData', 'Dump'], { instanceId });
+
+        fake.emitBinary('LevelFile', new Uint8Array([1, 2]));
+        fake.emitBinary('Dump', new Uint8Array([3]));
+        fake.emitChunked('LevelData', { tiles: [1, 2, 3] }, 4);
+        const allowedChunks = addChunk.mock.calls.length;
+        fake.emitChunked('Dump', { secret: 'x'.repeat(20) }, 4);
+        handlers.stop();
+
+        expect(handlers.received.map((m) => m.type)).toEqual(['LevelFile', 'LevelData']);
+        expect(addChunk).toHaveBeenCalledTimes(allowedChunks);
+    });
+});
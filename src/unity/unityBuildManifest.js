@@ -0,0 +1,155 @@
+/**
+ * unityBuildManifest — describe a Unity WebGL build (and its variants) in one JSON file.
+ *
+ * Manifest format:
+ * {
+ *   "companyName": "DefaultCompany",
+ *   "productName": "ReactUnityTest",
+ *   "productVersion": "0.1",
+ *   "streamingAssetsUrl": "StreamingAssets",        // optional
+ *   "variants": [
+ *     {
+ *       "name": "webgl2-brotli",                     // optional, defaults to graphics-compression
+ *       "graphics": "webgl2",                        // 'webgl2' (default) | 'webgl1'
+ *       "compression": "brotli",                     // 'brotli' | 'gzip' | 'none' (default)
+ *       "loaderUrl": "UnityGame.loader.js",
+ *       "dataUrl": "UnityGame.data.br",
+ *       "frameworkUrl": "UnityGame.framework.js.br",
+ *       "codeUrl": "UnityGame.wasm.br"
+ *     }
+ *   ]
+ * }
+ * Relative URLs resolve against the manifest URL.
+ *
+ * `selectVariants` drops variants the browser can't run and orders the rest best first:
+ * WebGL2 before WebGL1, then brotli, gzip, uncompressed; the loader tries them in that
+ * order until one starts.
+ */
+
+export const GRAPHICS_APIS = ['webgl2', 'webgl1'];
+export const COMPRESSIONS = ['brotli', 'gzip', 'none'];
+
+let detectedCapabilities = null;
+
+function _error(message, code) {
+    const err = new Error(message);
+    err.code = code;
+    return err;
+}
+
+/**
+ * What the current browser supports. Detected once and cached.
+ * - brotli: browsers only decode `Content-Encoding: br` over https (and localhost)
+ * @returns {{webgl2: boolean, webgl1: boolean, brotli: boolean, gzip: boolean}}
+ */
+export function detectCapabilities() {
+    if (detectedCapabilities) return detectedCapabilities;
+    let webgl2 = false;
+    let webgl1 = false;
+    try {
+        webgl2 = Boolean(document.createElement('canvas').getContext('webgl2'));
+        webgl1 = webgl2 || Boolean(document.createElement('canvas').getContext('webgl'));
+    } catch {
+        // no DOM or WebGL blocked: leave both false
+    }
+    detectedCapabilities = {
+        webgl2,
+        webgl1,
+        brotli: typeof window !== 'undefined' && Boolean(window.isSecureContext),
+        gzip: true,
+    };
+    return detectedCapabilities;
+}
+
+function _resolve(url, base) {
+    return url ? new URL(url, base).href : undefined;
+}
+
+/**
+ * Check a parsed manifest and resolve its URLs.
+ * @param {Object} json - parsed manifest
+ * @param {string} manifestUrl - URL the manifest was loaded from
+ * @returns {Object} manifest with absolute variant URLs
+ */
+export function parseManifest(json, manifestUrl) {
+    if (!json || typeof json !== 'object') throw _error('Unity build manifest is not an object', 'UNITY_MANIFEST_INVALID');
+    if (!Array.isArray(json.variants) || json.variants.length === 0) {
+        throw _error('Unity build manifest has no variants', 'UNITY_MANIFEST_INVALID');
+    }
+    const base = new URL(manifestUrl, typeof window !== 'undefined' ? window.location.href : undefined).href;
+    const variants = json.variants.map((v, index) => {
+        const graphics = v.graphics || 'webgl2';
+        const compression = v.compression || 'none';
+        if (!GRAPHICS_APIS.includes(graphics)) throw _error(`Unity build manifest variant ${index}: unknown graphics "${graphics}"`, 'UNITY_MANIFEST_INVALID');
+        if (!COMPRESSIONS.includes(compression)) throw _error(`Unity build manifest variant ${index}: unknown compression "${compression}"`, 'UNITY_MANIFEST_INVALID');
+        for (const key of ['loaderUrl', 'dataUrl', 'frameworkUrl', 'codeUrl']) {
+            if (!v[key]) throw _error(`Unity build manifest variant ${index}: missing ${key}`, 'UNITY_MANIFEST_INVALID');
+        }
+        return {
+            name: v.name || `${graphics}-${compression}`,
+            graphics,
+            compression,
+            loaderUrl: _resolve(v.loaderUrl, base),
+            dataUrl: _resolve(v.dataUrl, base),
+            frameworkUrl: _resolve(v.frameworkUrl, base),
+            codeUrl: _resolve(v.codeUrl, base),
+        };
+    });
+    return {
+        companyName: json.companyName,
+        productName: json.productName,
+        productVersion: json.productVersion,
+        streamingAssetsUrl: json.streamingAssetsUrl ? _resolve(json.streamingAssetsUrl, base) : undefined,
+        variants,
+    };
+}
+
+/**
+ * Fetch and parse a build manifest.
+ * @param {string} url
+ * @param {Object} [options]
+ * @param {function} [options.fetch] - fetch implementation
+ * @returns {Promise<Object>} parsed manifest (see parseManifest)
+ */
+export async function loadManifest(url, { fetch: fetchImpl = (...args) => fetch(...args) } = {}) {
+    let response;
+    try {
+        response = await fetchImpl(url, { cache: 'no-cache' });
+    } catch (err) {
+        throw _error(`Failed to fetch Unity build manifest ${url}: ${err.message}`, 'UNITY_MANIFEST_UNAVAILABLE');
+    }
+    if (!response.ok) throw _error(`Failed to fetch Unity build manifest ${url}: HTTP ${response.status}`, 'UNITY_MANIFEST_UNAVAILABLE');
+    let json;
+    try {
+        json = await response.json();
+    } catch {
+        throw _error(`Unity build manifest ${url} is not valid JSON`, 'UNITY_MANIFEST_INVALID');
+    }
+    return parseManifest(json, url);
+}
+
+/**
+ * Variants the browser can run, best first.
+ * @param {Object} manifest - parsed manifest
+ * @param {Object} [capabilities] - defaults to detectCapabilities()
+ * @returns {Array<Object>} variants
+ */
+export function selectVariants(manifest, capabilities = detectCapabilities()) {
+    const supported = manifest.variants.filter((v) => {
+        if (v.graphics === 'webgl2' && !capabilities.webgl2) return false;
+        if (v.graphics === 'webgl1' && !capabilities.webgl1) return false;
+        if (v.compression === 'brotli' && !capabilities.brotli) return false;
+        if (v.compression === 'gzip' && !capabilities.gzip) return false;
+        return true;
+    });
+    const rank = (v) => GRAPHICS_APIS.indexOf(v.graphics) * COMPRESSIONS.length + COMPRESSIONS.indexOf(v.compression);
+    // Array.prototype.sort is stable, so manifest order breaks ties
+    return supported.sort((a, b) => rank(a) - rank(b));
+}
+
+export default {
+    detectCapabilities,
+    parseManifest,
+    loadManifest,
+    selectVariants,
+};
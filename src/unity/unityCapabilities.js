@@ -0,0 +1,111 @@
+import { detectCapabilities } from './unityBuildManifest';
+
+/**
+ * unityCapabilities — pre-flight device check before a Unity build is loaded.
+ *
+ * `probeCapabilities()` looks at what a WebGL build needs and reports a verdict:
+ * - 'unsupported': the build can't run (no WebGL, no WebAssembly, or no WebGL2 when required)
+ * - 'warning': it may run poorly (mobile device, little memory, little storage, WebGL1 only)
+ * - 'supported': nothing to report
+ *
+ * Report shape:
+ * {
+ *   verdict,
+ *   blockers: [{ check, message }],
+ *   warnings: [{ check, message }],
+ *   checks: { webgl, webgl2, webassembly, mobile, memory, storage }
+ * }
+ * Memory and storage figures are hints: `navigator.deviceMemory` and
+ * `navigator.storage.estimate()` are missing in some browsers, in which case they are
+ * reported as unknown rather than failing.
+ */
+
+export const VERDICTS = {
+    SUPPORTED: 'supported',
+    WARNING: 'warning',
+    UNSUPPORTED: 'unsupported',
+};
+
+const DEFAULT_MIN_MEMORY_GB = 2;
+const DEFAULT_MIN_STORAGE_MB = 100;
+const MB = 1024 * 1024;
+
+function _webAssembly() {
+    try {
+        // smallest valid module: magic number + version
+        return typeof WebAssembly === 'object' && WebAssembly.validate(new Uint8Array([0x00, 0x61, 0x73, 0x6d, 0x01, 0x00, 0x00, 0x00]));
+    } catch {
+        return false;
+    }
+}
+
+function _isMobile() {
+    if (typeof navigator === 'undefined') return false;
+    if (navigator.userAgentData && typeof navigator.userAgentData.mobile === 'boolean') return navigator.userAgentData.mobile;
+    const ua = navigator.userAgent || '';
+    // iPadOS reports a desktop Mac user agent; touch support gives it away
+    const iPad = navigator.platform === 'MacIntel' && navigator.maxTouchPoints > 1;
+    return iPad || /Android|iPhone|iPad|iPod|Mobile|Silk|Opera Mini/i.test(ua);
+}
+
+async function _storage() {
+    try {
+        if (typeof navigator === 'undefined' || !navigator.storage || typeof navigator.storage.estimate !== 'function') return null;
+        const { quota, usage } = await navigator.storage.estimate();
+        if (typeof quota !== 'number') return null;
+        return { quota, usage: usage || 0, available: quota - (usage || 0) };
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Probe the device.
+ *
+ * @param {Object} [options]
+ * @param {boolean} [options.requireWebGL2=false] - treat a missing WebGL2 as a blocker
+ * @param {number} [options.minMemoryGB=2] - warn below this `navigator.deviceMemory`
+ * @param {number} [options.minStorageMB=100] - warn when less storage quota is available
+ * @param {boolean} [options.warnOnMobile=true] - warn on phones and tablets
+ * @returns {Promise<Object>} report (see module docs)
+ */
+export async function probeCapabilities({
+    requireWebGL2 = false,
+    minMemoryGB = DEFAULT_MIN_MEMORY_GB,
+    minStorageMB = DEFAULT_MIN_STORAGE_MB,
+    warnOnMobile = true,
+} = {}) {
+    const gl = detectCapabilities();
+    const deviceMemory = typeof navigator !== 'undefined' && typeof navigator.deviceMemory === 'number' ? navigator.deviceMemory : null;
+    const storage = await _storage();
+    const checks = {
+        webgl: { ok: gl.webgl1 },
+        webgl2: { ok: gl.webgl2 },
+        webassembly: { ok: _webAssembly() },
+        mobile: { ok: true, isMobile: _isMobile() },
+        memory: { ok: deviceMemory === null || deviceMemory >= minMemoryGB, deviceMemory },
+        storage: { ok: storage === null || storage.available >= minStorageMB * MB, ...(storage || { quota: null, usage: null, available: null }) },
+    };
+
+    const blockers = [];
+    const warnings = [];
+    if (!checks.webgl.ok) blockers.push({ check: 'webgl', message: 'WebGL is not available. It may be disabled or unsupported by your graphics driver.' });
+    if (!checks.webassembly.ok) blockers.push({ check: 'webassembly', message: 'This browser does not support WebAssembly.' });
+    if (checks.webgl.ok && !checks.webgl2.ok) {
+        if (requireWebGL2) blockers.push({ check: 'webgl2', message: 'This game needs WebGL 2, which your browser or device does not support.' });
+        else warnings.push({ check: 'webgl2', message: 'Only WebGL 1 is available; graphics may be reduced.' });
+    }
+    if (warnOnMobile && checks.mobile.isMobile) warnings.push({ check: 'mobile', message: 'You are on a mobile device; the game may run slowly or use a lot of memory.' });
+    if (!checks.memory.ok) warnings.push({ check: 'memory', message: `Your device reports ${deviceMemory} GB of memory; at least ${minMemoryGB} GB is recommended.` });
+    if (!checks.storage.ok) warnings.push({ check: 'storage', message: `Only ${Math.round(storage.available / MB)} MB of storage is available; game files may not be cached.` });
+
+    let verdict = VERDICTS.SUPPORTED;
+    if (blockers.length) verdict = VERDICTS.UNSUPPORTED;
+    else if (warnings.length) verdict = VERDICTS.WARNING;
+    return { verdict, blockers, warnings, checks };
+}
+
+export default {
+    probeCapabilities,
+    VERDICTS,
+};
@@ -9,18 +9,20 @@ import unityApi from './unityApi';
  *
  * Handler signature:
  * - Per-type handlers are called as (payload, meta).
+ * - Subscriptions may be scoped to one Unity instance with `{ instanceId }`; the bus routes on
+ *   `meta.instanceId`. Unscoped subscriptions receive the type from every instance.
  * - The global forwarder from the bridge calls into this bus as (type, payload, meta).
  *
  * HMR:
  * - The bus will attempt to uninstall the global forwarder when there are no subscribers and on module dispose.
  */
 
-const subscribers = new Map(); // type -> Set(handler)
+const subscribers = new Map(); // type -> Set({ handler, instanceId })
 
 /**
  * Ensure a Set exists for the given message type and return it.
  * @param {string} type
- * @returns {Set<function>} set of handlers for the type
+ * @returns {Set<{handler: function, instanceId: (string|null)}>} set of subscriptions for the type
  */
 function _ensureSet(type) {
     if (!subscribers.has(type)) subscribers.set(type, new Set());
@@ -38,8 +40,10 @@ function _ensureSet(type) {
 function _globalForwarder(type, payload, meta) {
     const s = subscribers.get(type);
     if (!s || s.size === 0) return;
-    for (const fn of Array.from(s)) {
-        try { fn(payload, meta); } catch (e) { console.error('unityEventBus handler error', e, type, payload); }
+    const source = meta && meta.instanceId;
+    for (const entry of Array.from(s)) {
+        if (entry.instanceId !== null && entry.instanceId !== source) continue;
+        try { entry.handler(payload, meta); } catch (e) { console.error('unityEventBus handler error', e, type, payload); }
     }
 }
 
@@ -105,25 +109,30 @@ if (typeof import.meta !== 'undefined' && import.meta.hot && typeof import.meta.
  * Subscribe to a typed Unity message.
  * @param {string} type - Unity message type to subscribe to (detail.type)
  * @param {function(any, any):void} handler - Called as (payload, meta)
+ * @param {Object} [options]
+ * @param {string} [options.instanceId] - Only receive messages from this Unity instance
  * @returns {function():void} unsubscribe function
  */
-function subscribe(type, handler) {
+function subscribe(type, handler, { instanceId = null } = {}) {
     if (typeof handler !== 'function') return () => { };
     _install();
     const s = _ensureSet(type);
-    s.add(handler);
-    return () => unsubscribe(type, handler);
+    s.add({ handler, instanceId });
+    return () => unsubscribe(type, handler, { instanceId });
 }
 
 /**
  * Remove a previously registered handler for a given type.
  * @param {string} type
  * @param {function} handler
+ * @param {Object} [options] - the same `{ instanceId }` used to subscribe
  */
-function unsubscribe(type, handler) {
+function unsubscribe(type, handler, { instanceId = null } = {}) {
     const s = subscribers.get(type);
     if (!s) return;
-    s.delete(handler);
+    for (const entry of Array.from(s)) {
+        if (entry.handler === handler && entry.instanceId === instanceId) s.delete(entry);
+    }
     // If this removed the last subscriber, uninstall the global forwarder
     if (s.size === 0) subscribers.delete(type);
     _maybeUninstall();
@@ -133,12 +142,12 @@ function unsubscribe(type, handler) {
  * Subscribe to a single occurrence of a typed message.
  * The handler will be removed after it is invoked once.
  */
-function once(type, handler) {
+function once(type, handler, options = {}) {
     if (typeof handler !== 'function') return;
     const wrapped = (payload, meta) => {
-        try { handler(payload, meta); } finally { unsubscribe(type, wrapped); }
+        try { handler(payload, meta); } finally { unsubscribe(type, wrapped, options); }
     };
-    subscribe(type, wrapped);
+    subscribe(type, wrapped, options);
 }
 
 /**
@@ -0,0 +1,78 @@
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import unityBridge from './unityBridge';
+import eventBus from './unityEventBus';
+import { createFakeUnity } from './fakeUnity';
+
+// Messages travel the way a real build sends them: fakeUnity -> reactChannel -> bridge -> bus.
+let _idCounter = 0;
+const used = [];
+
+async function startFake(options = {}) {
+    const instanceId = `bus-${++_idCounter}`;
+    used.push(instanceId);
+    const fake = createFakeUnity({ autoReady: false, ...options });
+    const instance = await fake.createUnityInstance(null, { reactInstanceId: instanceId, ...unityBridge.configHooks(instanceId) });
+    unityBridge.setInstance(instance, instanceId);
+    return { fake, instanceId };
+}
+
+afterEach(() => {
+    eventBus.clear();
+    for (const instanceId of used.splice(0)) unityBridge.clearInstance(instanceId);
+});
+
+describe('unityEventBus', () => {
+    it('calls subscribers of a type with the parsed payload and meta until they unsubscribe', async () => {
+        const { fake, instanceId } = await startFake();
+        const received = [];
+        const off = eventBus.subscribe('GameResult', (payload, meta) => received.push({ payload, instanceId: meta.instanceId }));
+
+        fake.emit('GameResult', { score: 1 });
+        fake.emit('LevelLoaded', { level: 2 });
+        off();
+        fake.emit('GameResult', { score: 3 });
+
+        expect(received).toEqual([{ payload: { score: 1 }, instanceId }]);
+        expect(eventBus.getSubscriberCount()).toBe(0);
+    });
+
+    it('calls a once() handler for the first message only', async () => {
+        const { fake } = await startFake();
+        const scores = [];
+        eventBus.once('GameResult', (payload) => scores.push(payload.score));
+
+        fake.emit('GameResult', { score: 1 });
+        fake.emit('GameResult', { score: 2 });
+
+        expect(scores).toEqual([1]);
+        expect(eventBus.getSubscriberCount()).toBe(0);
+    });
+
+    it('routes scoped subscriptions by instance and unscoped ones from every instance', async () => {
+        const first = await startFake();
+        const second = await startFake();
+        const scoped = [];
+        const all = [];
+        eventBus.subscribe('GameResult', (payload) => scoped.push(payload.score), { instanceId: second.instanceId });
+        eventBus.subscribe('GameResult', (payload, meta) => all.push(meta.instanceId));
+
+        first.fake.emit('GameResult', { score: 1 });
+        second.fake.emit('GameResult', { score: 2 });
+
+        expect(scoped).toEqual([2]);
+        expect(all).toEqual([first.instanceId, second.instanceId]);
+    });
+
+    it('keeps delivering to other subscribers when one throws', async () => {
+        const { fake } = await startFake();
+        const scores = [];
+        const error = vi.spyOn(console, 'error').mockImplementation(() => { });
+        eventBus.subscribe('GameResult', () => { throw new Error('handler failed'); });
+        eventBus.subscribe('GameResult', (payload) => scores.push(payload.score));
+        fake.emit('GameResult', { score: 5 });
+
+        expect(scores).toEqual([5]);
+        expect(error).toHaveBeenCalledOnce();
+        error.mockRestore();
+    });
+});
@@ -0,0 +1,131 @@
+import { createContext, useCallback, useContext, useEffect, useMemo, useRef, useState, useSyncExternalStore } from 'react';
+import unityApi from './unityApi';
+import eventBus from './unityEventBus';
+import unityStatus from './unityStatus';
+import unitySyncStore from './unitySyncStore';
+import { DEFAULT_INSTANCE_ID } from './unityBridge';
+
+/**
+ * React hooks over the bridge singletons (unityApi, unityEventBus, unityStatus, unitySyncStore).
+ *
+ * Hooks target the instance of the nearest <UnityProvider instanceId>, the default
+ * instance without a provider, or the one given in their `instanceId` option.
+ * Every subscription is made in an effect and removed in its cleanup, so StrictMode's
+ * extra mount/unmount leaves nothing registered twice.
+ */
+
+export const UnityContext = createContext(null);
+
+function useInstanceId(instanceId) {
+    const ctx = useContext(UnityContext);
+    if (instanceId !== undefined) return instanceId;
+    return ctx ? ctx.instanceId : DEFAULT_INSTANCE_ID;
+}
+
+function parseTarget(target) {
+    if (typeof target === 'string') {
+        const [objectName, methodName] = target.split('.');
+        return { objectName, methodName };
+    }
+    return { objectName: target && target.objectName, methodName: target && target.methodName };
+}
+
+/**
+ * The instance id and a unityApi scoped to it (see unityApi.forInstance).
+ * @returns {{instanceId: string, api: Object}}
+ */
+export function useUnity() {
+    const instanceId = useInstanceId();
+    return useMemo(() => ({ instanceId, api: unityApi.forInstance(instanceId) }), [instanceId]);
+}
+
+/**
+ * Call `handler(payload, meta)` for every `type` message from the instance.
+ * The latest handler is used without resubscribing, so inline functions are fine.
+ * @param {string} type - inbound message type, e.g. 'GameResult'
+ * @param {function(any, Object):void} handler
+ * @param {Object} [options]
+ * @param {string|null} [options.instanceId] - another instance, or null for every instance
+ */
+export function useUnityEvent(type, handler, { instanceId } = {}) {
+    const id = useInstanceId(instanceId);
+    const handlerRef = useRef(handler);
+    useEffect(() => { handlerRef.current = handler; });
+
+    useEffect(() => {
+        if (!type) return undefined;
+        return eventBus.subscribe(type, (payload, meta) => {
+            if (typeof handlerRef.current === 'function') handlerRef.current(payload, meta);
+        }, { instanceId: id });
+    }, [type, id]);
+}
+
+/**
+ * The last `type` payload received since the component mounted, as state.
+ * @param {string} type - inbound message type
+ * @param {Object} [options]
+ * @param {any} [options.initial] - value until the first message arrives
+ * @param {string|null} [options.instanceId]
+ * @returns {any}
+ */
+export function useUnityLatest(type, { initial, instanceId } = {}) {
+    const [latest, setLatest] = useState(initial);
+    useUnityEvent(type, setLatest, { instanceId });
+    return latest;
+}
+
+/**
+ * A stable function that sends its payload to one Unity method.
+ * @param {string|{objectName: string, methodName: string}} target - 'Object.Method' or an
+ *   OUTBOUND entry from unityMessages
+ * @param {boolean|Object} [options] - default send options (see unityApi.send)
+ * @returns {function(any, (boolean|Object)=):boolean} send(payload, options)
+ */
+export function useUnitySend(target, options) {
+    const id = useInstanceId();
+    const { objectName, methodName } = parseTarget(target);
+    const optionsRef = useRef(options);
+    useEffect(() => { optionsRef.current = options; });
+
+    return useCallback((payload, sendOptions) => {
+        const normalize = (value) => (typeof value === 'object' && value !== null ? value : value === undefined ? {} : { queue: value });
+        return unityApi.send(payload, objectName, methodName, { instanceId: id, ...normalize(optionsRef.current), ...normalize(sendOptions) });
+    }, [objectName, methodName, id]);
+}
+
+/**
+ * Loading status of the instance, as published by its <UnityGame>.
+ * @param {Object} [options]
+ * @param {string} [options.instanceId]
+ * @returns {{instanceId: string, state: string, ready: boolean, phase: (string|null), progress: number, bytes: (Object|null), error: (Error|null), crash: (Object|null)}}
+ */
+export function useUnityStatus({ instanceId } = {}) {
+    const id = useInstanceId(instanceId);
+    const getSnapshot = useCallback(() => unityStatus.get(id), [id]);
+    return useSyncExternalStore(unityStatus.subscribe, getSnapshot);
+}
+
+/**
+ * A key of the store shared with Unity (unitySyncStore), as state plus a setter.
+ * Changes from either side re-render; `setValue(undefined)` removes the key.
+ * @param {string} key
+ * @param {Object} [options]
+ * @param {any} [options.initial] - value while the key is unset (not written to the store)
+ * @param {string} [options.instanceId]
+ * @returns {[any, function(any):void]} [value, setValue]; setValue also takes an updater function
+ */
+export function useUnityState(key, { initial, instanceId } = {}) {
+    const id = useInstanceId(instanceId);
+    const subscribe = useCallback((onChange) => unitySyncStore.subscribe((changes) => {
+        if (key in changes) onChange();
+    }, { instanceId: id }), [key, id]);
+    const getSnapshot = useCallback(() => unitySyncStore.get(key, { instanceId: id }), [key, id]);
+    const value = useSyncExternalStore(subscribe, getSnapshot);
+
+    const setValue = useCallback((next) => {
+        const resolved = typeof next === 'function' ? next(unitySyncStore.get(key, { instanceId: id })) : next;
+        unitySyncStore.set(key, resolved, { instanceId: id });
+    }, [key, id]);
+
+    return [value === undefined ? initial : value, setValue];
+}
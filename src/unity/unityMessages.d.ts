@@ -0,0 +1,60 @@
+// Generated from src/unity/unity.contract.json by `npm run contract:generate`. Do not edit by hand.
+
+export type UnityMessageMeta = { instanceId?: string; [key: string]: unknown };
+export type UnitySubscribeOptions = { instanceId?: string | null };
+export type UnitySendOptions = boolean | Record<string, unknown>;
+
+export type UnityReadyPayload = null;
+
+export type GameResultPayload = {
+    userId: string;
+    score: number;
+};
+
+export type UnityPauseStatePayload = {
+    paused: boolean;
+    muted: boolean;
+};
+
+export type UnityStateDiffPayload = {
+    changes: Record<string, unknown>;
+};
+
+export type UnitySnapshotPayload = unknown;
+
+export type StartRoundPayload = {
+    timestamp?: number;
+    action: "startRound";
+    data?: {
+        difficulty?: "easy" | "medium" | "hard";
+    };
+    userData: {
+        userId: string;
+        userName?: string;
+    };
+};
+
+export declare const INBOUND: {
+    readonly UnityReady: 'UnityReady';
+    readonly GameResult: 'GameResult';
+    readonly UnityPauseState: 'UnityPauseState';
+    readonly UnityStateDiff: 'UnityStateDiff';
+    readonly UnitySnapshot: 'UnitySnapshot';
+};
+
+export declare const OUTBOUND: {
+    readonly 'JSEventManager.OnStartRound': { readonly objectName: 'JSEventManager'; readonly methodName: 'OnStartRound' };
+    readonly 'ReactLifecycle.Pause': { readonly objectName: 'ReactLifecycle'; readonly methodName: 'Pause' };
+    readonly 'ReactLifecycle.Resume': { readonly objectName: 'ReactLifecycle'; readonly methodName: 'Resume' };
+    readonly 'ReactLifecycle.SetMuted': { readonly objectName: 'ReactLifecycle'; readonly methodName: 'SetMuted' };
+    readonly 'ReactStateSync.OnStateDiff': { readonly objectName: 'ReactStateSync'; readonly methodName: 'OnStateDiff' };
+    readonly 'ReactStateSync.OnStateSnapshot': { readonly objectName: 'ReactStateSync'; readonly methodName: 'OnStateSnapshot' };
+    readonly 'ReactRecovery.RestoreSnapshot': { readonly objectName: 'ReactRecovery'; readonly methodName: 'RestoreSnapshot' };
+};
+
+export declare function onUnityReady(handler: (payload: UnityReadyPayload, meta: UnityMessageMeta) => void, options?: UnitySubscribeOptions): () => void;
+export declare function onGameResult(handler: (payload: GameResultPayload, meta: UnityMessageMeta) => void, options?: UnitySubscribeOptions): () => void;
+export declare function onUnityPauseState(handler: (payload: UnityPauseStatePayload, meta: UnityMessageMeta) => void, options?: UnitySubscribeOptions): () => void;
+export declare function onUnityStateDiff(handler: (payload: UnityStateDiffPayload, meta: UnityMessageMeta) => void, options?: UnitySubscribeOptions): () => void;
+export declare function onUnitySnapshot(handler: (payload: UnitySnapshotPayload, meta: UnityMessageMeta) => void, options?: UnitySubscribeOptions): () => void;
+export declare function sendStartRound(payload: StartRoundPayload, options?: UnitySendOptions): boolean;
@@ -0,0 +1,91 @@
+// Generated from src/unity/unity.contract.json by `npm run contract:generate`. Do not edit by hand.
+
+import unityApi from './unityApi';
+import eventBus from './unityEventBus';
+
+/** Inbound message types (Unity → React). */
+export const INBOUND = Object.freeze({
+    UnityReady: 'UnityReady',
+    GameResult: 'GameResult',
+    UnityPauseState: 'UnityPauseState',
+    UnityStateDiff: 'UnityStateDiff',
+    UnitySnapshot: 'UnitySnapshot',
+});
+
+/** Outbound messages (React → Unity) as `{ objectName, methodName }`. */
+export const OUTBOUND = Object.freeze({
+    'JSEventManager.OnStartRound': Object.freeze({ objectName: 'JSEventManager', methodName: 'OnStartRound' }),
+    'ReactLifecycle.Pause': Object.freeze({ objectName: 'ReactLifecycle', methodName: 'Pause' }),
+    'ReactLifecycle.Resume': Object.freeze({ objectName: 'ReactLifecycle', methodName: 'Resume' }),
+    'ReactLifecycle.SetMuted': Object.freeze({ objectName: 'ReactLifecycle', methodName: 'SetMuted' }),
+    'ReactStateSync.OnStateDiff': Object.freeze({ objectName: 'ReactStateSync', methodName: 'OnStateDiff' }),
+    'ReactStateSync.OnStateSnapshot': Object.freeze({ objectName: 'ReactStateSync', methodName: 'OnStateSnapshot' }),
+    'ReactRecovery.RestoreSnapshot': Object.freeze({ objectName: 'ReactRecovery', methodName: 'RestoreSnapshot' }),
+});
+
+/**
+ * Unity finished starting its scene and can receive messages.
+ *
+ * @param {function(UnityReadyPayload, Object):void} handler - called with (payload, meta)
+ * @param {Object} [options] - `{ instanceId }` to listen to one Unity instance only
+ * @returns {function():void} unsubscribe function
+ */
+export function onUnityReady(handler, options) {
+    return eventBus.subscribe('UnityReady', handler, options);
+}
+
+/**
+ * Results of a finished round.
+ *
+ * @param {function(GameResultPayload, Object):void} handler - called with (payload, meta)
+ * @param {Object} [options] - `{ instanceId }` to listen to one Unity instance only
+ * @returns {function():void} unsubscribe function
+ */
+export function onGameResult(handler, options) {
+    return eventBus.subscribe('GameResult', handler, options);
+}
+
+/**
+ * Pause and mute state reported by ReportPauseStateToJS (hand-written in the jslib: it takes two C# bools).
+ *
+ * @param {function(UnityPauseStatePayload, Object):void} handler - called with (payload, meta)
+ * @param {Object} [options] - `{ instanceId }` to listen to one Unity instance only
+ * @returns {function():void} unsubscribe function
+ */
+export function onUnityPauseState(handler, options) {
+    return eventBus.subscribe('UnityPauseState', handler, options);
+}
+
+/**
+ * Changes Unity made to the synchronized store (see unitySyncStore).
+ *
+ * @param {function(UnityStateDiffPayload, Object):void} handler - called with (payload, meta)
+ * @param {Object} [options] - `{ instanceId }` to listen to one Unity instance only
+ * @returns {function():void} unsubscribe function
+ */
+export function onUnityStateDiff(handler, options) {
+    return eventBus.subscribe('UnityStateDiff', handler, options);
+}
+
+/**
+ * Game state to restore after a crash (see UnityGame's recovery prop). Any JSON value.
+ *
+ * @param {function(UnitySnapshotPayload, Object):void} handler - called with (payload, meta)
+ * @param {Object} [options] - `{ instanceId }` to listen to one Unity instance only
+ * @returns {function():void} unsubscribe function
+ */
+export function onUnitySnapshot(handler, options) {
+    return eventBus.subscribe('UnitySnapshot', handler, options);
+}
+
+/**
+ * Start a round for a user.
+ * Sends JSEventManager.OnStartRound.
+ *
+ * @param {StartRoundPayload} payload
+ * @param {boolean|Object} [options] - see `unityApi.send`
+ * @returns {boolean} true if the message was sent or queued
+ */
+export function sendStartRound(payload, options = true) {
+    return unityApi.send(payload, 'JSEventManager', 'OnStartRound', options);
+}
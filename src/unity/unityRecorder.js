@@ -0,0 +1,268 @@
+import unityBridge from './unityBridge';
+import unityApi from './unityApi';
+
+/**
+ * unityRecorder — record bridge sessions and replay them.
+ *
+ * Purpose:
+ * - Capture a play session's traffic (inbound `UnityMessage`s and outbound sends) with
+ *   relative timing, export it as JSON and attach it to bug reports.
+ * - Replay a session into the bridge: inbound messages are re-delivered to `unityApi` /
+ *   `unityEventBus` subscribers at the original timing (or faster), without a Unity build.
+ * - Optionally assert that React sent the same outbound messages during the replay.
+ *
+ * Session format (version 1):
+ * {
+ *   version: 1,
+ *   startedAt: <epoch ms>,
+ *   duration: <ms>,
+ *   entries: [
+ *     { t, direction: 'in', type, payload, meta },
+ *     { t, direction: 'out', objectName, methodName, payload, instanceId, status }
+ *   ]
+ * }
+ * `t` is milliseconds since the recording started.
+ */
+
+export const SESSION_VERSION = 1;
+
+// fields that legitimately differ between runs (call correlation ids)
+const DEFAULT_IGNORE_KEYS = ['callId'];
+// replies to recorded call()s; replaying them could settle a live call with the same callId
+const REPLY_TYPE = 'UnityReply';
+
+/**
+ * Start recording bridge traffic.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.instanceId] - only record traffic of this instance
+ * @returns {{stop: function():Object, snapshot: function():Object}} `stop` ends the recording and returns the session
+ */
+export function startRecording({ instanceId } = {}) {
+    const startedAt = Date.now();
+    const entries = [];
+    const outboundById = new Map();
+    const now = () => Date.now() - startedAt;
+
+    const offIn = unityApi.onMessage((type, payload, meta) => {
+        // replayed traffic is not part of a new recording
+        if (meta && meta.replayed) return;
+        entries.push({ t: now(), direction: 'in', type, payload, meta });
+    }, { instanceId });
+
+    const offOut = unityApi.onOutbound((event) => {
+        if (instanceId && event.instanceId !== instanceId) return;
+        const existing = outboundById.get(event.id);
+        if (existing) {
+            // a queued message reports again when flushed or dropped
+            existing.status = event.status;
+            return;
+        }
+        const entry = {
+            t: event.at - startedAt,
+            direction: 'out',
+            objectName: event.objectName,
+            methodName: event.methodName,
+            payload: event.payload,
+            instanceId: event.instanceId,
+            status: event.status,
+        };
+        outboundById.set(event.id, entry);
+        entries.push(entry);
+    });
+
+    let stopped = null;
+    const snapshot = () => ({
+        version: SESSION_VERSION,
+        startedAt,
+        duration: now(),
+        entries: entries.slice(),
+    });
+
+    return {
+        snapshot,
+        stop() {
+            if (stopped) return stopped;
+            offIn();
+            offOut();
+            stopped = snapshot();
+            return stopped;
+        },
+    };
+}
+
+/**
+ * Serialize a session to a JSON string.
+ * @param {Object} session
+ * @returns {string}
+ */
+export function exportSession(session) {
+    return JSON.stringify(session, null, 2);
+}
+
+/**
+ * Offer a session as a JSON file download.
+ * @param {Object} session
+ * @param {string} [filename]
+ */
+export function downloadSession(session, filename = `unity-session-${new Date(session.startedAt).toISOString().replace(/[:.]/g, '-')}.json`) {
+    const blob = new Blob([exportSession(session)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+/**
+ * Parse a session from a JSON string, a File/Blob, or an already-parsed object.
+ * @param {string|Blob|Object} source
+ * @returns {Promise<Object>} the session
+ */
+export async function loadSession(source) {
+    let session = source;
+    if (typeof Blob !== 'undefined' && source instanceof Blob) session = await source.text();
+    if (typeof session === 'string') session = JSON.parse(session);
+    if (!session || !Array.isArray(session.entries)) throw new Error('Not a Unity bridge session: missing entries');
+    if (session.version !== SESSION_VERSION) throw new Error(`Unsupported Unity bridge session version: ${session.version}`);
+    return session;
+}
+
+function _strip(value, ignoreKeys) {
+    if (Array.isArray(value)) return value.map((v) => _strip(v, ignoreKeys));
+    if (value && typeof value === 'object') {
+        const out = {};
+        for (const key of Object.keys(value).sort()) {
+            if (!ignoreKeys.includes(key)) out[key] = _strip(value[key], ignoreKeys);
+        }
+        return out;
+    }
+    return value;
+}
+
+function _sameOutbound(expected, actual, ignoreKeys) {
+    return expected.objectName === actual.objectName
+        && expected.methodName === actual.methodName
+        && JSON.stringify(_strip(expected.payload, ignoreKeys)) === JSON.stringify(_strip(actual.payload, ignoreKeys));
+}
+
+/**
+ * Compare the recorded outbound messages with the ones observed during replay, in order.
+ * @returns {{ok: boolean, mismatches: Array, missing: Array, unexpected: Array}}
+ */
+function _compareOutbound(expected, actual, ignoreKeys) {
+    const mismatches = [];
+    const count = Math.min(expected.length, actual.length);
+    for (let i = 0; i < count; i++) {
+        if (!_sameOutbound(expected[i], actual[i], ignoreKeys)) mismatches.push({ index: i, expected: expected[i], actual: actual[i] });
+    }
+    const missing = expected.slice(count);
+    const unexpected = actual.slice(count);
+    return { ok: mismatches.length === 0 && missing.length === 0 && unexpected.length === 0, mismatches, missing, unexpected };
+}
+
+/**
+ * Replay a recorded session into the bridge.
+ *
+ * Inbound entries are delivered through `unityBridge.receive` with `meta.replayed = true`,
+ * so they reach the same handlers as live Unity traffic; recorded `UnityReply` entries are
+ * skipped. Outbound entries are not sent; in assertion mode they are compared with what
+ * React actually sends during the replay, by the final status of each message.
+ *
+ * @param {Object} session - a session from `stop()` or `loadSession`
+ * @param {Object} [options]
+ * @param {number} [options.speed=1] - timing multiplier; Infinity delivers everything immediately
+ * @param {string} [options.instanceId] - deliver inbound messages as coming from this instance
+ * @param {boolean} [options.assert=false] - check React's outbound messages against the recording
+ * @param {string[]} [options.ignoreKeys] - payload keys ignored by the assertion (default ['callId'])
+ * @param {number} [options.settle=500] - ms to keep listening for outbound messages after the last entry
+ * @param {function(Object, number):void} [options.onEntry] - called with each delivered inbound entry and its index
+ * @returns {{promise: Promise<Object>, stop: function():void}} promise resolves with
+ *   `{ delivered, stopped, assertion }` (`assertion` only in assert mode)
+ */
+export function replaySession(session, {
+    speed = 1,
+    instanceId,
+    assert = false,
+    ignoreKeys = DEFAULT_IGNORE_KEYS,
+    settle = 500,
+    onEntry,
+} = {}) {
+    const inbound = session.entries.filter((e) => e.direction === 'in' && e.type !== REPLY_TYPE);
+    const expectedOutbound = session.entries.filter((e) => e.direction === 'out' && e.status !== 'dropped');
+    // id -> observed message, in first-report order like the recorder
+    const observed = new Map();
+    const timers = new Set();
+    let stopped = false;
+    let finish = null;
+
+    const offOut = assert ? unityApi.onOutbound((event) => {
+        if (instanceId && event.instanceId !== instanceId) return;
+        const existing = observed.get(event.id);
+        if (existing) {
+            // a queued message reports again when flushed or dropped
+            existing.status = event.status;
+            return;
+        }
+        observed.set(event.id, { objectName: event.objectName, methodName: event.methodName, payload: event.payload, instanceId: event.instanceId, status: event.status });
+    }) : () => { };
+
+    const schedule = (fn, ms) => {
+        const timer = setTimeout(() => { timers.delete(timer); fn(); }, ms);
+        timers.add(timer);
+    };
+
+    const delay = (t) => (Number.isFinite(speed) && speed > 0 ? t / speed : 0);
+
+    const promise = new Promise((resolve) => {
+        let delivered = 0;
+        finish = () => {
+            if (!finish) return;
+            finish = null;
+            offOut();
+            const result = { delivered, stopped };
+            if (assert) {
+                const actual = Array.from(observed.values()).filter((e) => e.status !== 'dropped');
+                result.assertion = _compareOutbound(expectedOutbound, actual, ignoreKeys);
+            }
+            resolve(result);
+        };
+
+        inbound.forEach((entry, index) => {
+            schedule(() => {
+                if (stopped) return;
+                const meta = { ...(entry.meta || {}), replayed: true };
+                if (instanceId) meta.instanceId = instanceId;
+                unityBridge.receive({ type: entry.type, payload: entry.payload, meta });
+                delivered += 1;
+                if (typeof onEntry === 'function') {
+                    try { onEntry(entry, index); } catch (e) { console.error('unityRecorder onEntry error', e); }
+                }
+            }, delay(entry.t));
+        });
+
+        const end = session.entries.reduce((max, e) => Math.max(max, e.t), session.duration || 0);
+        schedule(() => { if (finish) finish(); }, delay(end) + (assert ? settle : 0));
+    });
+
+    return {
+        promise,
+        stop() {
+            stopped = true;
+            for (const timer of timers) clearTimeout(timer);
+            timers.clear();
+            if (finish) finish();
+        },
+    };
+}
+
+export default {
+    startRecording,
+    replaySession,
+    exportSession,
+    downloadSession,
+    loadSession,
+};
@@ -0,0 +1,49 @@
+import { afterEach, describe, expect, it } from 'vitest';
+import unityBridge from './unityBridge';
+import unityApi from './unityApi';
+import { replaySession } from './unityRecorder';
+
+const instanceId = 'recorder-replay';
+const offs = [];
+
+function session(entries) {
+    return { version: 1, startedAt: 0, duration: 0, entries };
+}
+
+afterEach(() => {
+    for (const off of offs.splice(0)) off();
+    unityBridge.clearInstance(instanceId);
+});
+
+describe('replaySession', () => {
+    it('expects messages by their final status, not their first report', async () => {
+        // React answers the replayed message with a send; no instance yet, so it queues and is dropped
+        const answer = () => {
+            unityApi.send({ level: 1 }, 'GameManager', 'OnLevel', { instanceId });
+            unityBridge.clearInstance(instanceId);
+        };
+        offs.push(unityApi.onMessage(answer, { instanceId }));
+
+        const replay = replaySession(session([
+            { t: 0, direction: 'in', type: 'LevelLoaded', payload: null, meta: { instanceId } },
+            { t: 0, direction: 'out', objectName: 'GameManager', methodName: 'OnLevel', payload: { level: 1 }, instanceId, status: 'dropped' },
+        ]), { speed: Infinity, instanceId, assert: true, settle: 0 });
+        const { assertion } = await replay.promise;
+
+        expect(assertion).toMatchObject({ ok: true, missing: [], unexpected: [] });
+    });
+
+    it('does not replay recorded UnityReply entries', async () => {
+        const seen = [];
+        offs.push(unityApi.onMessage((type) => seen.push(type), { instanceId }));
+
+        const replay = replaySession(session([
+            { t: 0, direction: 'in', type: 'UnityReply', payload: { ok: true }, meta: { instanceId, callId: 'call-1' } },
+            { t: 0, direction: 'in', type: 'LevelLoaded', payload: null, meta: { instanceId } },
+        ]), { speed: Infinity, instanceId });
+        const { delivered } = await replay.promise;
+
+        expect(delivered).toBe(1);
+        expect(seen).toEqual(['LevelLoaded']);
+    });
+});
@@ -0,0 +1,140 @@
+import { DEFAULT_INSTANCE_ID } from './unityBridge';
+
+/**
+ * unityRuntimeEvents — what the Unity framework reports while it runs, as typed events.
+ *
+ * useUnityLoader hands `configHooks()` to createUnityInstance: the loader copies them onto
+ * its Module, so the framework's console output (`print` / `printErr`), its uncaught error
+ * handler (`errorHandler`, which would otherwise show Unity's alert banner) and Emscripten's
+ * `onAbort` all come through here. Output still reaches the browser console.
+ *
+ * Event: { id, type, fatal, message, source, filename, lineno, instanceId, at }
+ * - type: one of RUNTIME_EVENT_TYPES
+ * - fatal: the instance can't continue (aborts, out-of-memory and uncaught exceptions)
+ * - source: 'print' | 'printErr' | 'errorHandler' | 'abort'
+ */
+
+export const RUNTIME_EVENT_TYPES = {
+    LOG: 'log',
+    WARNING: 'warning',
+    EXCEPTION: 'exception',
+    ABORT: 'abort',
+    OUT_OF_MEMORY: 'out-of-memory',
+};
+
+const FATAL_TYPES = new Set([RUNTIME_EVENT_TYPES.EXCEPTION, RUNTIME_EVENT_TYPES.ABORT, RUNTIME_EVENT_TYPES.OUT_OF_MEMORY]);
+
+// the messages Unity's own error handler treats as running out of memory, plus
+// Emscripten's abort('OOM')
+const OUT_OF_MEMORY_PATTERNS = [
+    /\bOOM\b/,
+    /cannot enlarge memory arrays/i,
+    /out of memory/i,
+    /invalid (typed )?array( buffer)? length/i,
+    /could not allocate memory/i,
+];
+
+const handlers = new Set(); // { fn, instanceId, types }
+let _eventCounter = 0;
+
+function _text(value) {
+    if (value instanceof Error) return value.stack || value.message;
+    return typeof value === 'string' ? value : String(value);
+}
+
+/**
+ * Categorize one message from the framework.
+ * @param {string} message
+ * @param {string} source - 'print' | 'printErr' | 'errorHandler' | 'abort'
+ * @returns {string} a RUNTIME_EVENT_TYPES value
+ */
+function classify(message, source) {
+    if (OUT_OF_MEMORY_PATTERNS.some((re) => re.test(message))) return RUNTIME_EVENT_TYPES.OUT_OF_MEMORY;
+    if (source === 'abort') return RUNTIME_EVENT_TYPES.ABORT;
+    if (source === 'errorHandler') return RUNTIME_EVENT_TYPES.EXCEPTION;
+    if (source === 'printErr') return RUNTIME_EVENT_TYPES.WARNING;
+    return RUNTIME_EVENT_TYPES.LOG;
+}
+
+/**
+ * Build an event and hand it to the subscribers.
+ * @param {Object} raw - { message, source, filename?, lineno?, instanceId? }
+ * @returns {Object} the event
+ */
+function report({ message, source, filename = null, lineno = null, instanceId = DEFAULT_INSTANCE_ID }) {
+    const text = _text(message);
+    const type = classify(text, source);
+    const event = Object.freeze({
+        id: ++_eventCounter,
+        type,
+        fatal: FATAL_TYPES.has(type),
+        message: text,
+        source,
+        filename,
+        lineno,
+        instanceId,
+        at: Date.now(),
+    });
+    for (const entry of Array.from(handlers)) {
+        if (entry.instanceId !== null && entry.instanceId !== instanceId) continue;
+        if (entry.types && !entry.types.includes(type)) continue;
+        try { entry.fn(event); } catch (e) { console.error('unityRuntimeEvents handler error', e); }
+    }
+    return event;
+}
+
+/**
+ * Subscribe to runtime events, e.g. to forward them to an error reporting service.
+ * @param {function(Object):void} fn - called with each event
+ * @param {Object} [options]
+ * @param {string} [options.instanceId] - only events from this instance
+ * @param {string[]} [options.types] - only these RUNTIME_EVENT_TYPES (default: all, including 'log')
+ * @returns {function():void} unsubscribe function
+ */
+function subscribe(fn, { instanceId = null, types = null } = {}) {
+    if (typeof fn !== 'function') return () => { };
+    const entry = { fn, instanceId, types };
+    handlers.add(entry);
+    return () => { handlers.delete(entry); };
+}
+
+/**
+ * Config keys for createUnityInstance that route the framework's output through `report`.
+ * @param {string} instanceId
+ * @param {function(Object):void} [onEvent] - also called with every event (the loader uses
+ *   it to notice fatal ones)
+ * @returns {{print: function, printErr: function, errorHandler: function, onAbort: function}}
+ */
+function configHooks(instanceId, onEvent) {
+    const emit = (raw) => {
+        const event = report({ ...raw, instanceId });
+        if (typeof onEvent === 'function') onEvent(event);
+        return event;
+    };
+    return {
+        print: (message) => {
+            console.log(message);
+            emit({ message, source: 'print' });
+        },
+        printErr: (message) => {
+            console.error(message);
+            emit({ message, source: 'printErr' });
+        },
+        // returning true tells the loader the error was handled: no alert banner
+        errorHandler: (message, filename, lineno) => {
+            console.error('[unity] uncaught error', message, filename, lineno);
+            emit({ message, source: 'errorHandler', filename, lineno });
+            return true;
+        },
+        onAbort: (what) => {
+            emit({ message: what === undefined ? 'Aborted' : `Aborted(${_text(what)})`, source: 'abort' });
+        },
+    };
+}
+
+export default {
+    classify,
+    report,
+    subscribe,
+    configHooks,
+};
@@ -0,0 +1,237 @@
+/**
+ * unitySchema — a registry of message shapes for traffic crossing the Unity bridge.
+ *
+ * Purpose:
+ * - Let each message type declare a JSON-Schema-like shape once (see `messageSchemas.js`).
+ * - `unityBridge` validates outbound sends and inbound `UnityMessage` payloads against it.
+ * - Failures are reported on a dedicated error channel (`onValidationError`) instead of
+ *   surfacing later as a broken page.
+ *
+ * Keys:
+ * - Inbound messages are keyed by their `type` (e.g. 'GameResult', 'UnityReady').
+ * - Outbound messages are keyed by `'ObjectName.MethodName'` or just `'MethodName'`
+ *   (e.g. 'JSEventManager.OnStartRound' or 'OnStartRound'); the full key wins.
+ *
+ * Supported schema keywords: type (string or array), enum, const, properties, required,
+ * additionalProperties (boolean), items, minimum, maximum, minLength, maxLength, minItems, maxItems.
+ *
+ * Modes (per direction):
+ * - 'off'    — skip validation
+ * - 'warn'   — report and deliver anyway (default in dev)
+ * - 'drop'   — report and do not deliver (default in production)
+ * - 'reject' — like 'drop'; outbound sends additionally throw / calls reject
+ */
+
+export const VALIDATION_MODES = {
+    OFF: 'off',
+    WARN: 'warn',
+    DROP: 'drop',
+    REJECT: 'reject',
+};
+
+const isDev = typeof import.meta !== 'undefined' && import.meta.env ? !!import.meta.env.DEV : false;
+const DEFAULT_MODE = isDev ? VALIDATION_MODES.WARN : VALIDATION_MODES.DROP;
+
+const schemas = {
+    inbound: new Map(), // type -> schema
+    outbound: new Map(), // 'Object.Method' | 'Method' -> schema
+};
+const modes = { inbound: DEFAULT_MODE, outbound: DEFAULT_MODE };
+const errorHandlers = new Set();
+
+/**
+ * Register the shape of an inbound (Unity → React) message type.
+ * @param {string} type - message type (detail.type)
+ * @param {Object} schema - JSON-Schema-like description of the payload
+ */
+function defineInbound(type, schema) {
+    schemas.inbound.set(type, schema);
+}
+
+/**
+ * Register the shape of an outbound (React → Unity) message.
+ * @param {string} target - 'ObjectName.MethodName' or 'MethodName'
+ * @param {Object} schema - JSON-Schema-like description of the payload
+ */
+function defineOutbound(target, schema) {
+    schemas.outbound.set(target, schema);
+}
+
+/**
+ * Remove registered schemas. Without arguments the whole registry is cleared.
+ * @param {'inbound'|'outbound'} [direction]
+ * @param {string} [key]
+ */
+function clear(direction, key) {
+    if (!direction) {
+        schemas.inbound.clear();
+        schemas.outbound.clear();
+        return;
+    }
+    if (key == null) schemas[direction].clear();
+    else schemas[direction].delete(key);
+}
+
+/**
+ * Set validation behavior. A string applies to both directions.
+ * @param {string|{inbound?: string, outbound?: string}} config
+ */
+function configure(config) {
+    if (typeof config === 'string') {
+        modes.inbound = config;
+        modes.outbound = config;
+        return;
+    }
+    if (config && config.inbound) modes.inbound = config.inbound;
+    if (config && config.outbound) modes.outbound = config.outbound;
+}
+
+function getMode(direction) {
+    return modes[direction];
+}
+
+function _typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (typeof value === 'number' && Number.isInteger(value)) return 'integer';
+    return typeof value;
+}
+
+function _matchesType(value, expected) {
+    const actual = _typeOf(value);
+    if (expected === 'number') return actual === 'number' || actual === 'integer';
+    return actual === expected;
+}
+
+/**
+ * Validate a value against a schema.
+ * @param {any} value
+ * @param {Object} schema
+ * @param {string} [path='$']
+ * @returns {Array<{path: string, message: string}>} empty when valid
+ */
+function validate(value, schema, path = '$') {
+    const errors = [];
+    if (!schema || typeof schema !== 'object') return errors;
+
+    if (schema.type !== undefined) {
+        const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+        if (!types.some((t) => _matchesType(value, t))) {
+            errors.push({ path, message: `expected ${types.join(' | ')}, got ${_typeOf(value)}` });
+            return errors;
+        }
+    }
+    if (schema.const !== undefined && value !== schema.const) {
+        errors.push({ path, message: `expected ${JSON.stringify(schema.const)}` });
+    }
+    if (Array.isArray(schema.enum) && !schema.enum.includes(value)) {
+        errors.push({ path, message: `expected one of ${schema.enum.map((v) => JSON.stringify(v)).join(', ')}` });
+    }
+
+    if (typeof value === 'number') {
+        if (typeof schema.minimum === 'number' && value < schema.minimum) errors.push({ path, message: `must be >= ${schema.minimum}` });
+        if (typeof schema.maximum === 'number' && value > schema.maximum) errors.push({ path, message: `must be <= ${schema.maximum}` });
+    }
+    if (typeof value === 'string') {
+        if (typeof schema.minLength === 'number' && value.length < schema.minLength) errors.push({ path, message: `must have length >= ${schema.minLength}` });
+        if (typeof schema.maxLength === 'number' && value.length > schema.maxLength) errors.push({ path, message: `must have length <= ${schema.maxLength}` });
+    }
+
+    if (Array.isArray(value)) {
+        if (typeof schema.minItems === 'number' && value.length < schema.minItems) errors.push({ path, message: `must have >= ${schema.minItems} items` });
+        if (typeof schema.maxItems === 'number' && value.length > schema.maxItems) errors.push({ path, message: `must have <= ${schema.maxItems} items` });
+        if (schema.items) {
+            value.forEach((item, i) => { errors.push(...validate(item, schema.items, `${path}[${i}]`)); });
+        }
+    }
+
+    if (_typeOf(value) === 'object') {
+        const props = schema.properties || {};
+        for (const key of schema.required || []) {
+            if (!(key in value)) errors.push({ path: `${path}.${key}`, message: 'is required' });
+        }
+        for (const key of Object.keys(value)) {
+            if (props[key]) errors.push(...validate(value[key], props[key], `${path}.${key}`));
+            else if (schema.additionalProperties === false) errors.push({ path: `${path}.${key}`, message: 'is not allowed' });
+        }
+    }
+    return errors;
+}
+
+/**
+ * Subscribe to validation failures from either direction.
+ * The handler receives { direction, key, mode, errors, payload, meta }.
+ * @param {function(Object):void} handler
+ * @returns {function():void} unsubscribe function
+ */
+function onValidationError(handler) {
+    if (typeof handler !== 'function') return () => { };
+    errorHandlers.add(handler);
+    return () => errorHandlers.delete(handler);
+}
+
+function _report(report) {
+    if (report.mode === VALIDATION_MODES.WARN) {
+        console.warn(`[unity.schema] invalid ${report.direction} message "${report.key}"`, report.errors, report.payload);
+    }
+    for (const fn of Array.from(errorHandlers)) {
+        try { fn(report); } catch (e) { console.error('unitySchema error handler failed', e); }
+    }
+}
+
+/**
+ * Build the Error thrown / rejected for outbound messages in 'reject' mode.
+ * @param {Object} report - the validation report
+ * @returns {Error}
+ */
+function toError(report) {
+    const details = report.errors.map((e) => `${e.path} ${e.message}`).join('; ');
+    const err = new Error(`Invalid ${report.direction} Unity message "${report.key}": ${details}`);
+    err.code = 'UNITY_SCHEMA_INVALID';
+    err.report = report;
+    return err;
+}
+
+function _check(direction, key, schema, payload, meta, notes = []) {
+    const mode = modes[direction];
+    if (!schema || mode === VALIDATION_MODES.OFF) return { ok: true, deliver: true };
+    const errors = validate(payload, schema);
+    if (errors.length === 0) return { ok: true, deliver: true };
+    const report = { direction, key, mode, errors: [...notes, ...errors], payload, meta };
+    _report(report);
+    return { ok: false, deliver: mode === VALIDATION_MODES.WARN, report };
+}
+
+/**
+ * Validate an outbound message against its registered schema (if any).
+ * @returns {{ok: boolean, deliver: boolean, report?: Object}}
+ */
+function checkOutbound(objectName, methodName, payload, meta = {}) {
+    const fullKey = `${objectName}.${methodName}`;
+    const key = schemas.outbound.has(fullKey) ? fullKey : methodName;
+    return _check('outbound', key, schemas.outbound.get(key), payload, { objectName, methodName, ...meta });
+}
+
+/**
+ * Validate an inbound message against its registered schema (if any).
+ * When the payload was a string that failed to parse as JSON, pass `parseFailed`
+ * so the report says so instead of only "expected object, got string".
+ * @returns {{ok: boolean, deliver: boolean, report?: Object}}
+ */
+function checkInbound(type, payload, meta = {}, { parseFailed = false } = {}) {
+    const notes = parseFailed ? [{ path: '$', message: 'payload is not valid JSON' }] : [];
+    return _check('inbound', type, schemas.inbound.get(type), payload, meta, notes);
+}
+
+export default {
+    defineInbound,
+    defineOutbound,
+    clear,
+    configure,
+    getMode,
+    validate,
+    onValidationError,
+    checkInbound,
+    checkOutbound,
+    toError,
+};
@@ -0,0 +1,131 @@
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import unityBridge from './unityBridge';
+import unitySchema from './unitySchema';
+import { createFakeUnity } from './fakeUnity';
+
+// Each validation mode against the same invalid payload, in both directions.
+const SCORE = { type: 'object', required: ['score'], properties: { score: { type: 'integer' } } };
+const INVALID = { score: 'high' };
+const DEFAULT_MODES = { inbound: unitySchema.getMode('inbound'), outbound: unitySchema.getMode('outbound') };
+
+let _idCounter = 0;
+const used = [];
+
+async function startFake() {
+    const instanceId = `schema-${++_idCounter}`;
+    used.push(instanceId);
+    const fake = createFakeUnity({ autoReady: false });
+    const instance = await fake.createUnityInstance(null, { reactInstanceId: instanceId, ...unityBridge.configHooks(instanceId) });
+    unityBridge.setInstance(instance, instanceId);
+    return { fake, instanceId };
+}
+
+// sends an invalid score both ways and records what got through and what was reported
+async function exchangeInvalid(mode) {
+    unitySchema.configure(mode);
+    unitySchema.defineInbound('ScoreChanged', SCORE);
+    unitySchema.defineOutbound('Game.SetScore', SCORE);
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => { });
+    const reports = [];
+    const stopReports = unitySchema.onValidationError((report) => reports.push(`${report.direction}:${report.mode}`));
+    const { fake, instanceId } = await startFake();
+    const received = [];
+    const onScore = (payload) => received.push(payload);
+    unityBridge.registerHandler('ScoreChanged', onScore, { instanceId });
+
+    fake.emit('ScoreChanged', INVALID);
+    let thrown = null;
+    try {
+        unityBridge.send('Game', 'SetScore', INVALID, { instanceId });
+    } catch (err) {
+        thrown = err;
+    }
+    unityBridge.unregisterHandler('ScoreChanged', onScore, { instanceId });
+    stopReports();
+
+    return { received, sent: fake.sentTo('Game', 'SetScore').map((s) => s.payload), thrown, reports, warned: warn.mock.calls.length };
+}
+
+afterEach(() => {
+    vi.restoreAllMocks();
+    vi.unstubAllEnvs();
+    unitySchema.configure(DEFAULT_MODES);
+    unitySchema.clear('inbound', 'ScoreChanged');
+    unitySchema.clear('outbound', 'Game.SetScore');
+    for (const instanceId of used.splice(0)) unityBridge.clearInstance(instanceId);
+});
+
+describe('unitySchema modes', () => {
+    it("'off' delivers without validating", async () => {
+        const result = await exchangeInvalid('off');
+
+        expect(result.received).toEqual([INVALID]);
+        expect(result.sent).toEqual([INVALID]);
+        expect(result.reports).toEqual([]);
+        expect(result.warned).toBe(0);
+    });
+
+    it("'warn' reports, logs and delivers anyway", async () => {
+        const result = await exchangeInvalid('warn');
+
+        expect(result.received).toEqual([INVALID]);
+        expect(result.sent).toEqual([INVALID]);
+        expect(result.reports).toEqual(['inbound:warn', 'outbound:warn']);
+        expect(result.warned).toBe(2);
+    });
+
+    it("'drop' reports and does not deliver", async () => {
+        const result = await exchangeInvalid('drop');
+
+        expect(result.received).toEqual([]);
+        expect(result.sent).toEqual([]);
+        expect(result.thrown).toBeNull();
+        expect(result.reports).toEqual(['inbound:drop', 'outbound:drop']);
+        expect(result.warned).toBe(0);
+    });
+
+    it("'reject' drops like 'drop' and makes the send throw", async () => {
+        const result = await exchangeInvalid('reject');
+
+        expect(result.received).toEqual([]);
+        expect(result.sent).toEqual([]);
+        expect(result.thrown).toMatchObject({ code: 'UNITY_SCHEMA_INVALID' });
+        expect(result.thrown.report.errors).toEqual([{ path: '$.score', message: 'expected integer, got string' }]);
+        expect(result.reports).toEqual(['inbound:reject', 'outbound:reject']);
+    });
+
+    it("rejects a call() with an invalid payload in 'reject' mode", async () => {
+        unitySchema.configure('reject');
+        unitySchema.defineOutbound('Game.SetScore', SCORE);
+        vi.spyOn(console, 'warn').mockImplementation(() => { });
+        const { fake, instanceId } = await startFake();
+
+        await expect(unityBridge.call('Game', 'SetScore', INVALID, { instanceId })).rejects.toMatchObject({ code: 'UNITY_SCHEMA_INVALID' });
+        expect(fake.sent).toHaveLength(0);
+    });
+});
+
+describe('unitySchema default mode', () => {
+    async function freshSchema() {
+        vi.resetModules();
+        return (await import('./unitySchema')).default;
+    }
+
+    it("is 'warn' in development", async () => {
+        vi.stubEnv('DEV', true);
+        const schema = await freshSchema();
+
+        expect(schema.getMode('inbound')).toBe('warn');
+        expect(schema.getMode('outbound')).toBe('warn');
+    });
+
+    it("is 'drop' in production", async () => {
+        vi.stubEnv('DEV', false);
+        const schema = await freshSchema();
+        schema.defineInbound('ScoreChanged', SCORE);
+
+        expect(schema.getMode('inbound')).toBe('drop');
+        expect(schema.getMode('outbound')).toBe('drop');
+        expect(schema.checkInbound('ScoreChanged', INVALID)).toMatchObject({ ok: false, deliver: false });
+    });
+});
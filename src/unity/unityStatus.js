@@ -0,0 +1,79 @@
+import { DEFAULT_INSTANCE_ID } from './unityBridge';
+
+/**
+ * unityStatus — loading status of each Unity instance, published by <UnityGame> and read
+ * with `useUnityStatus()` (or `get` / `subscribe` outside React).
+ *
+ * Snapshots are frozen and only replaced when a field changes, so they can be returned
+ * from `useSyncExternalStore` as is.
+ *
+ * Snapshot: { instanceId, state, ready, phase, progress, bytes, error, crash }
+ * - state: a LOADING_STATES value from useUnityLoader ('idle' while no UnityGame is mounted)
+ * - ready: the build reported UnityReady and accepts messages
+ * - crash: the fatal runtime event that stopped the instance (see unityRuntimeEvents), or null
+ */
+
+const statuses = new Map(); // instanceId -> snapshot
+const listeners = new Set();
+const idleSnapshots = new Map(); // instanceId -> idle snapshot, so unknown ids stay referentially stable
+
+function _idle(instanceId) {
+    if (!idleSnapshots.has(instanceId)) {
+        idleSnapshots.set(instanceId, Object.freeze({ instanceId, state: 'idle', ready: false, phase: null, progress: 0, bytes: null, error: null, crash: null }));
+    }
+    return idleSnapshots.get(instanceId);
+}
+
+function _notify(instanceId) {
+    for (const fn of Array.from(listeners)) {
+        try { fn(instanceId); } catch (e) { console.error('unityStatus listener error', e); }
+    }
+}
+
+/**
+ * Current status of an instance.
+ * @param {string} [instanceId]
+ * @returns {Object} frozen snapshot
+ */
+function get(instanceId = DEFAULT_INSTANCE_ID) {
+    return statuses.get(instanceId) || _idle(instanceId);
+}
+
+/**
+ * Merge fields into an instance's status; listeners are only called when something changed.
+ * @param {string} instanceId
+ * @param {Object} patch - any of state, ready, phase, progress, bytes, error, crash
+ */
+function set(instanceId = DEFAULT_INSTANCE_ID, patch = {}) {
+    const prev = get(instanceId);
+    const changed = Object.keys(patch).some((key) => prev[key] !== patch[key]);
+    if (!changed) return;
+    statuses.set(instanceId, Object.freeze({ ...prev, ...patch, instanceId }));
+    _notify(instanceId);
+}
+
+/**
+ * Forget an instance (its UnityGame unmounted); it reads as idle again.
+ * @param {string} [instanceId]
+ */
+function clear(instanceId = DEFAULT_INSTANCE_ID) {
+    if (!statuses.delete(instanceId)) return;
+    _notify(instanceId);
+}
+
+/**
+ * Listen for status changes of any instance.
+ * @param {function(string):void} fn - called with the instanceId that changed
+ * @returns {function():void} unsubscribe function
+ */
+function subscribe(fn) {
+    listeners.add(fn);
+    return () => { listeners.delete(fn); };
+}
+
+export default {
+    get,
+    set,
+    clear,
+    subscribe,
+};
@@ -0,0 +1,296 @@
+import unityBridge, { DEFAULT_INSTANCE_ID } from './unityBridge';
+
+/**
+ * unitySyncStore — a key-value store that React and Unity keep in agreement
+ * (settings, inventory, score, ...), one store per Unity instance.
+ *
+ * Protocol (see the ReactStateSync / UnityStateDiff entries in unity.contract.json):
+ * - Every key carries a version that goes up by one on each change, on either side.
+ * - React sends changes as diffs to `ReactStateSync.OnStateDiff`:
+ *   `{ changes: { [key]: { value, version } | { version, deleted: true } } }`.
+ *   Changes made in the same tick are sent together.
+ * - Unity sends its changes as `UnityStateDiff` messages with the same shape
+ *   (SendStateDiffToJS in UnityMessage.jslib).
+ * - On every `UnityReady` (first load and after a reload) React sends the whole store to
+ *   `ReactStateSync.OnStateSnapshot` as `{ entries: { [key]: { value, version } } }`, which
+ *   replaces Unity's copy. Diffs are only sent after that, so changes made while Unity
+ *   loads reach it through the snapshot.
+ *
+ * Conflict rule, applied per key by both sides when a change arrives:
+ * - higher version than the local one: apply it;
+ * - same version (both sides changed the same key concurrently): the `tieBreaker` side wins,
+ *   Unity by default;
+ * - lower version, or a lost tie: ignore it. React then sends its own entry again so a side
+ *   that missed it converges.
+ */
+
+const STATE_DIFF_TYPE = 'UnityStateDiff';
+const UNITY_READY_TYPE = 'UnityReady';
+
+const config = { objectName: 'ReactStateSync', diffMethod: 'OnStateDiff', snapshotMethod: 'OnStateSnapshot', tieBreaker: 'unity' };
+// instanceId -> { entries: Map(key -> { value, version, deleted? }), values, pending: Set(key), flushScheduled, syncedInstance, listeners: Set }
+const stores = new Map();
+// instanceId -> the Unity instance that last sent UnityReady, for stores created after it did
+const readyInstances = new Map();
+// instanceId -> bridge whenReady promise, for a UnityReady that arrived before
+// UnityGame handed the instance to the bridge
+const awaitingInstance = new Map();
+let _installed = false;
+
+function _store(instanceId = DEFAULT_INSTANCE_ID) {
+    if (!stores.has(instanceId)) {
+        stores.set(instanceId, { entries: new Map(), values: Object.freeze({}), pending: new Set(), flushScheduled: false, syncedInstance: null, listeners: new Set() });
+        // Unity became ready before anything used this store: sync now
+        const instance = unityBridge.getInstance(instanceId);
+        if (instance && readyInstances.get(instanceId) === instance) resync(instanceId);
+    }
+    return stores.get(instanceId);
+}
+
+// read-only lookup: reads (e.g. during render) never create a store or trigger a resync
+const EMPTY_STORE = Object.freeze({ entries: new Map(), values: Object.freeze({}) });
+function _peek(instanceId = DEFAULT_INSTANCE_ID) {
+    return stores.get(instanceId) || EMPTY_STORE;
+}
+
+// Unity has received the snapshot for the instance that is loaded now
+function _isSynced(store, instanceId) {
+    const instance = unityBridge.getInstance(instanceId);
+    return Boolean(instance) && store.syncedInstance === instance;
+}
+
+// rebuild the frozen { key: value } view so readers get a new object only on change
+function _refreshValues(store) {
+    const values = {};
+    for (const [key, entry] of store.entries) {
+        if (!entry.deleted) values[key] = entry.value;
+    }
+    store.values = Object.freeze(values);
+}
+
+function _notify(store, changes, source, instanceId) {
+    _refreshValues(store);
+    for (const fn of Array.from(store.listeners)) {
+        try { fn(changes, { source, instanceId }); } catch (e) { console.error('unitySyncStore listener error', e); }
+    }
+}
+
+function _wireEntry(entry) {
+    return entry.deleted ? { version: entry.version, deleted: true } : { value: entry.value, version: entry.version };
+}
+
+function _scheduleFlush(store, instanceId) {
+    if (store.flushScheduled) return;
+    store.flushScheduled = true;
+    queueMicrotask(() => _flush(store, instanceId));
+}
+
+function _flush(store, instanceId) {
+    store.flushScheduled = false;
+    if (store.pending.size === 0) return;
+    // not synced yet: keep them; the snapshot on UnityReady carries them and clears the set
+    if (!_isSynced(store, instanceId)) return;
+    const changes = {};
+    for (const key of store.pending) changes[key] = _wireEntry(store.entries.get(key));
+    store.pending.clear();
+    unityBridge.send(config.objectName, config.diffMethod, { changes }, { instanceId, queue: false });
+}
+
+function _queueChange(store, key, instanceId) {
+    store.pending.add(key);
+    _scheduleFlush(store, instanceId);
+}
+
+/**
+ * Send the whole store to Unity, replacing its copy. Called automatically on UnityReady.
+ * @param {string} [instanceId]
+ * @returns {boolean} true if it was sent
+ */
+function resync(instanceId = DEFAULT_INSTANCE_ID) {
+    const store = _store(instanceId);
+    const instance = unityBridge.getInstance(instanceId);
+    if (!instance) return false;
+    const entries = {};
+    for (const [key, entry] of store.entries) {
+        if (!entry.deleted) entries[key] = _wireEntry(entry);
+    }
+    store.pending.clear();
+    const sent = unityBridge.send(config.objectName, config.snapshotMethod, { entries }, { instanceId, queue: false });
+    store.syncedInstance = sent ? instance : null;
+    return sent;
+}
+
+// Apply a diff from Unity using the conflict rule above
+function _receiveDiff(payload, instanceId) {
+    const changes = payload && typeof payload === 'object' ? payload.changes : null;
+    if (!changes || typeof changes !== 'object') return;
+    const store = _store(instanceId);
+    const applied = {};
+    for (const [key, incoming] of Object.entries(changes)) {
+        if (!incoming || typeof incoming !== 'object' || !Number.isInteger(incoming.version)) continue;
+        const local = store.entries.get(key);
+        const localVersion = local ? local.version : 0;
+        const wins = incoming.version > localVersion || (incoming.version === localVersion && config.tieBreaker === 'unity');
+        if (!wins) {
+            if (local) _queueChange(store, key, instanceId);
+            continue;
+        }
+        const entry = incoming.deleted ? { value: undefined, version: incoming.version, deleted: true } : { value: incoming.value, version: incoming.version };
+        store.entries.set(key, entry);
+        // Unity already has this value; don't echo it back
+        store.pending.delete(key);
+        applied[key] = entry.deleted ? undefined : entry.value;
+    }
+    if (Object.keys(applied).length > 0) _notify(store, applied, 'unity', instanceId);
+}
+
+// Unity can take messages: send the snapshot, once the bridge has the instance
+function _unityReady(instanceId) {
+    const instance = unityBridge.getInstance(instanceId);
+    if (!instance) {
+        // UnityReady can arrive before UnityGame calls setInstance; sync when it does
+        const waiting = unityBridge.whenReady(instanceId);
+        if (awaitingInstance.get(instanceId) === waiting) return;
+        awaitingInstance.set(instanceId, waiting);
+        waiting.then(() => {
+            if (awaitingInstance.get(instanceId) === waiting) awaitingInstance.delete(instanceId);
+            _unityReady(instanceId);
+        });
+        return;
+    }
+    readyInstances.set(instanceId, instance);
+    if (stores.has(instanceId)) resync(instanceId);
+}
+
+function _globalHandler(type, payload, meta) {
+    if (type === STATE_DIFF_TYPE) {
+        _receiveDiff(payload, meta.instanceId);
+    } else if (type === UNITY_READY_TYPE) {
+        _unityReady(meta.instanceId);
+    }
+}
+
+function _install() {
+    if (_installed) return;
+    unityBridge.registerGlobalHandler(_globalHandler);
+    _installed = true;
+}
+
+_install();
+
+// HMR: drop the bridge handler so a reloaded module doesn't apply diffs twice
+if (typeof import.meta !== 'undefined' && import.meta.hot && typeof import.meta.hot.dispose === 'function') {
+    import.meta.hot.dispose(() => {
+        if (_installed) unityBridge.unregisterGlobalHandler(_globalHandler);
+        _installed = false;
+    });
+}
+
+/**
+ * Change where diffs and snapshots are sent, or who wins ties.
+ * @param {Object} options
+ * @param {string} [options.objectName='ReactStateSync'] - Unity GameObject receiving them
+ * @param {string} [options.diffMethod='OnStateDiff']
+ * @param {string} [options.snapshotMethod='OnStateSnapshot']
+ * @param {'unity'|'react'} [options.tieBreaker='unity'] - side whose change wins when both
+ *   changed a key from the same version; Unity must be configured the same way
+ */
+function configure(options = {}) {
+    Object.assign(config, options);
+}
+
+/**
+ * Value of a key, or undefined.
+ * @param {string} key
+ * @param {Object} [options] - `{ instanceId }`
+ */
+function get(key, { instanceId = DEFAULT_INSTANCE_ID } = {}) {
+    return _peek(instanceId).values[key];
+}
+
+/**
+ * All values as a frozen object; the same object is returned until something changes.
+ * @param {Object} [options] - `{ instanceId }`
+ * @returns {Object}
+ */
+function getAll({ instanceId = DEFAULT_INSTANCE_ID } = {}) {
+    return _peek(instanceId).values;
+}
+
+/**
+ * Current version of a key (0 if it was never set).
+ * @param {string} key
+ * @param {Object} [options] - `{ instanceId }`
+ * @returns {number}
+ */
+function getVersion(key, { instanceId = DEFAULT_INSTANCE_ID } = {}) {
+    const entry = _peek(instanceId).entries.get(key);
+    return entry ? entry.version : 0;
+}
+
+/**
+ * Set several keys at once; they reach Unity in one diff. An `undefined` value removes the key.
+ * Values must be JSON-serializable.
+ * @param {Object} changes - { key: value }
+ * @param {Object} [options] - `{ instanceId }`
+ */
+function update(changes, { instanceId = DEFAULT_INSTANCE_ID } = {}) {
+    const store = _store(instanceId);
+    const applied = {};
+    for (const [key, value] of Object.entries(changes || {})) {
+        const local = store.entries.get(key);
+        const deleted = value === undefined;
+        if (local && Boolean(local.deleted) === deleted && (deleted || Object.is(local.value, value))) continue;
+        if (!local && deleted) continue;
+        const version = (local ? local.version : 0) + 1;
+        store.entries.set(key, deleted ? { value: undefined, version, deleted: true } : { value, version });
+        applied[key] = value;
+        _queueChange(store, key, instanceId);
+    }
+    if (Object.keys(applied).length > 0) _notify(store, applied, 'react', instanceId);
+}
+
+/**
+ * Set one key.
+ * @param {string} key
+ * @param {any} value
+ * @param {Object} [options] - `{ instanceId }`
+ */
+function set(key, value, options) {
+    update({ [key]: value }, options);
+}
+
+/**
+ * Remove a key on both sides.
+ * @param {string} key
+ * @param {Object} [options] - `{ instanceId }`
+ */
+function remove(key, options) {
+    update({ [key]: undefined }, options);
+}
+
+/**
+ * Listen for changes from either side.
+ * @param {function(Object, {source: string, instanceId: string}):void} fn - called with the
+ *   changed `{ key: value }` (undefined for removed keys) and where they came from
+ *   ('react' or 'unity')
+ * @param {Object} [options] - `{ instanceId }`
+ * @returns {function():void} unsubscribe function
+ */
+function subscribe(fn, { instanceId = DEFAULT_INSTANCE_ID } = {}) {
+    const store = _store(instanceId);
+    store.listeners.add(fn);
+    return () => { store.listeners.delete(fn); };
+}
+
+export default {
+    configure,
+    get,
+    getAll,
+    getVersion,
+    set,
+    update,
+    remove,
+    subscribe,
+    resync,
+};
@@ -0,0 +1,62 @@
+import { describe, expect, it } from 'vitest';
+import unityBridge from './unityBridge';
+import unitySyncStore from './unitySyncStore';
+import { createFakeUnity } from './fakeUnity';
+
+async function startFake(instanceId) {
+    const fake = createFakeUnity({ autoReady: false });
+    const instance = await fake.createUnityInstance(null, { reactInstanceId: instanceId, ...unityBridge.configHooks(instanceId) });
+    return { fake, instance };
+}
+
+const tick = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+describe('unitySyncStore', () => {
+    it('sends the snapshot, then diffs, when UnityReady arrives before setInstance', async () => {
+        const instanceId = 'sync-early-ready';
+        const { fake, instance } = await startFake(instanceId);
+        unitySyncStore.set('volume', 0.5, { instanceId });
+
+        fake.emit('UnityReady', null);
+        unitySyncStore.set('difficulty', 'hard', { instanceId });
+        await tick();
+        expect(fake.sent).toHaveLength(0);
+
+        unityBridge.setInstance(instance, instanceId);
+        await tick();
+        expect(fake.sentTo('ReactStateSync', 'OnStateSnapshot').map((s) => s.payload)).toEqual([
+            { entries: { volume: { value: 0.5, version: 1 }, difficulty: { value: 'hard', version: 1 } } },
+        ]);
+
+        unitySyncStore.set('volume', 0.8, { instanceId });
+        await tick();
+        expect(fake.sentTo('ReactStateSync', 'OnStateDiff').map((s) => s.payload)).toEqual([
+            { changes: { volume: { value: 0.8, version: 2 } } },
+        ]);
+        unityBridge.clearInstance(instanceId);
+    });
+
+    it('keeps changes made while unsynced for the next snapshot', async () => {
+        const instanceId = 'sync-reload';
+        const first = await startFake(instanceId);
+        unityBridge.setInstance(first.instance, instanceId);
+        first.fake.emit('UnityReady', null);
+        unitySyncStore.set('score', 1, { instanceId });
+        await tick();
+
+        // the build reloads: changes made meanwhile reach the new instance's snapshot
+        unityBridge.clearInstance(instanceId);
+        unitySyncStore.set('score', 2, { instanceId });
+        await tick();
+        const second = await startFake(instanceId);
+        unityBridge.setInstance(second.instance, instanceId);
+        second.fake.emit('UnityReady', null);
+        await tick();
+
+        expect(second.fake.sentTo('ReactStateSync', 'OnStateSnapshot').map((s) => s.payload)).toEqual([
+            { entries: { score: { value: 2, version: 2 } } },
+        ]);
+        expect(second.fake.sentTo('ReactStateSync', 'OnStateDiff')).toHaveLength(0);
+        unityBridge.clearInstance(instanceId);
+    });
+});
@@ -0,0 +1,187 @@
+/**
+ * unityTransfer — payloads that don't fit through SendMessage's single string argument.
+ *
+ * Binary, React -> Unity: `unityBridge.sendBinary` keeps the bytes here and sends Unity a
+ * small descriptor `{ transferId, length }` instead. C# allocates a `byte[length]` and calls
+ * `CopyBinaryFromJS(transferId, buffer, length)` (UnityMessage.jslib), which copies the bytes
+ * straight into the Unity heap. The jslib reaches this store through the `reactTransfers`
+ * config key useUnityLoader hands to createUnityInstance (`moduleHooks()`).
+ * Binary, Unity -> React: `SendBinaryToJS(type, ptr, length)` delivers an ArrayBuffer copy
+ * of the bytes as the message payload.
+ *
+ * Large JSON: outbound strings longer than `chunking.maxSize` are split into chunks sent to
+ * a receiver GameObject that joins them and forwards the message; Unity sends large JSON as
+ * `SendChunkToJS` chunks, joined here before the message is routed.
+ */
+
+// outbound chunking; chunks go to SendMessage(objectName, methodName,
+// '{"id","index","count","objectName","methodName","data"}') in order
+//   maxSize: longest string sent in one SendMessage (UTF-16 code units)
+//   ttl: ms a partially received inbound message is kept waiting for its other chunks
+const chunking = { enabled: true, maxSize: 256 * 1024, objectName: 'ReactChunkReceiver', methodName: 'OnChunk', ttl: 60000 };
+// ms a delivered descriptor's bytes wait for Unity to copy them
+const DEFAULT_BINARY_TTL = 60000;
+
+const binaries = new Map(); // transferId -> { bytes, instanceId, timer }
+const partials = new Map(); // `${instanceId}:${id}` -> { type, parts, received, instanceId, timer }
+let _transferCounter = 0;
+let _chunkCounter = 0;
+
+/**
+ * Copy an ArrayBuffer or typed array into a Uint8Array the caller can't change afterwards.
+ * @param {ArrayBuffer|ArrayBufferView} data
+ * @returns {Uint8Array|null} null for anything else
+ */
+function toBytes(data) {
+    if (data instanceof ArrayBuffer) return new Uint8Array(data.slice(0));
+    if (ArrayBuffer.isView(data)) return new Uint8Array(data.buffer, data.byteOffset, data.byteLength).slice();
+    return null;
+}
+
+/**
+ * Keep bytes until Unity copies them.
+ * @param {Uint8Array} bytes
+ * @param {string} instanceId
+ * @returns {{transferId: string, length: number}} the descriptor sent to Unity
+ */
+function putBinary(bytes, instanceId) {
+    const transferId = `bin-${++_transferCounter}`;
+    binaries.set(transferId, { bytes, instanceId, timer: null });
+    return { transferId, length: bytes.length };
+}
+
+/**
+ * Hand out (and forget) the bytes of a transfer. Called by CopyBinaryFromJS.
+ * @param {string} transferId
+ * @returns {Uint8Array|null}
+ */
+function takeBinary(transferId) {
+    const entry = binaries.get(transferId);
+    if (!entry) return null;
+    clearTimeout(entry.timer);
+    binaries.delete(transferId);
+    return entry.bytes;
+}
+
+/**
+ * Start the clock on a delivered transfer: unclaimed bytes are dropped after `ttl` ms.
+ * @param {string} transferId
+ * @param {number} [ttl]
+ */
+function expireBinary(transferId, ttl = DEFAULT_BINARY_TTL) {
+    const entry = binaries.get(transferId);
+    if (!entry || !(ttl > 0)) return;
+    clearTimeout(entry.timer);
+    entry.timer = setTimeout(() => {
+        binaries.delete(transferId);
+        console.warn(`[unityTransfer] ${transferId} (${entry.bytes.length} bytes) was never copied by Unity; dropped`);
+    }, ttl);
+}
+
+function dropBinary(transferId) {
+    const entry = binaries.get(transferId);
+    if (!entry) return;
+    clearTimeout(entry.timer);
+    binaries.delete(transferId);
+}
+
+/**
+ * Forget the pending transfers and partial messages of an instance (it was cleared).
+ * @param {string} instanceId
+ */
+function dropInstance(instanceId) {
+    for (const [transferId, entry] of Array.from(binaries)) {
+        if (entry.instanceId === instanceId) dropBinary(transferId);
+    }
+    for (const [key, partial] of Array.from(partials)) {
+        if (partial.instanceId !== instanceId) continue;
+        clearTimeout(partial.timer);
+        partials.delete(key);
+    }
+}
+
+/**
+ * Change outbound chunking (see `chunking` above for the options).
+ * @param {{enabled?: boolean, maxSize?: number, objectName?: string, methodName?: string, ttl?: number}} options
+ */
+function setChunking(options = {}) {
+    Object.assign(chunking, options);
+}
+
+/**
+ * Split an encoded payload into SendMessage arguments for the chunk receiver, or return
+ * null when it fits in one message.
+ * @param {string} objectName
+ * @param {string} methodName
+ * @param {string} arg - the JSON-encoded payload
+ * @returns {{objectName: string, methodName: string, chunks: string[]}|null} the receiver and its arguments
+ */
+function splitOutbound(objectName, methodName, arg) {
+    if (!chunking.enabled || typeof arg !== 'string' || arg.length <= chunking.maxSize) return null;
+    const size = Math.max(1, chunking.maxSize);
+    const parts = [];
+    for (let start = 0; start < arg.length;) {
+        let end = Math.min(arg.length, start + size);
+        // don't cut a surrogate pair in half
+        if (end < arg.length && end - start > 1) {
+            const code = arg.charCodeAt(end - 1);
+            if (code >= 0xd800 && code <= 0xdbff) end -= 1;
+        }
+        parts.push(arg.slice(start, end));
+        start = end;
+    }
+    const id = `chunk-${++_chunkCounter}`;
+    const chunks = parts.map((data, index) => JSON.stringify({ id, index, count: parts.length, objectName, methodName, data }));
+    return { objectName: chunking.objectName, methodName: chunking.methodName, chunks };
+}
+
+/**
+ * Collect one inbound chunk (`UnityChunk` payload `{ id, type, index, count, data }`).
+ * @param {Object} chunk
+ * @param {string} instanceId
+ * @returns {{type: string, payload: string}|null} the joined message once every chunk arrived
+ */
+function addChunk(chunk, instanceId) {
+    if (!chunk || typeof chunk !== 'object' || chunk.id === undefined || !(chunk.count > 0)) return null;
+    const key = `${instanceId}:${chunk.id}`;
+    let partial = partials.get(key);
+    if (!partial) {
+        partial = { type: chunk.type, parts: new Array(chunk.count), received: 0, instanceId, timer: null };
+        partials.set(key, partial);
+        if (chunking.ttl > 0) {
+            partial.timer = setTimeout(() => {
+                partials.delete(key);
+                console.warn(`[unityTransfer] chunked ${partial.type} message ${chunk.id} incomplete after ${chunking.ttl}ms; dropped`);
+            }, chunking.ttl);
+        }
+    }
+    if (chunk.index >= 0 && chunk.index < partial.parts.length && partial.parts[chunk.index] === undefined) {
+        partial.parts[chunk.index] = typeof chunk.data === 'string' ? chunk.data : '';
+        partial.received += 1;
+    }
+    if (partial.received < partial.parts.length) return null;
+    clearTimeout(partial.timer);
+    partials.delete(key);
+    return { type: partial.type, payload: partial.parts.join('') };
+}
+
+/**
+ * Config keys for createUnityInstance that let the jslib reach this store.
+ * @returns {{reactTransfers: {take: function(string):(Uint8Array|null)}}}
+ */
+function moduleHooks() {
+    return { reactTransfers: { take: takeBinary } };
+}
+
+export default {
+    toBytes,
+    putBinary,
+    takeBinary,
+    expireBinary,
+    dropBinary,
+    dropInstance,
+    setChunking,
+    splitOutbound,
+    addChunk,
+    moduleHooks,
+};
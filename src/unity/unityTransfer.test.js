@@ -0,0 +1,146 @@
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import unityBridge from './unityBridge';
+import unityTransfer from './unityTransfer';
+import { createFakeUnity } from './fakeUnity';
+
+let _idCounter = 0;
+const used = [];
+
+function newInstanceId() {
+    const instanceId = `transfer-${++_idCounter}`;
+    used.push(instanceId);
+    return instanceId;
+}
+
+// one inbound chunk of `text` split into `count` pieces
+function chunkOf(id, text, index, count, type = 'LevelData') {
+    const size = Math.ceil(text.length / count);
+    return { id, type, index, count, data: text.slice(index * size, (index + 1) * size) };
+}
+
+afterEach(() => {
+    vi.useRealTimers();
+    vi.restoreAllMocks();
+    unityTransfer.setChunking({ enabled: true, maxSize: 256 * 1024, ttl: 60000 });
+    for (const instanceId of used.splice(0)) unityBridge.clearInstance(instanceId);
+});
+
+describe('unityTransfer chunk reassembly', () => {
+    it('joins the chunks of a message once every piece arrived, in any order', () => {
+        const instanceId = newInstanceId();
+        const text = '{"tiles":[1,2,3,4,5,6,7,8,9]}';
+
+        expect(unityTransfer.addChunk(chunkOf('c1', text, 2, 3), instanceId)).toBeNull();
+        expect(unityTransfer.addChunk(chunkOf('c1', text, 0, 3), instanceId)).toBeNull();
+        expect(unityTransfer.addChunk(chunkOf('c1', text, 1, 3), instanceId)).toEqual({ type: 'LevelData', payload: text });
+    });
+
+    it('ignores repeated and out-of-range pieces', () => {
+        const instanceId = newInstanceId();
+        const text = 'abcdef';
+
+        expect(unityTransfer.addChunk(chunkOf('c2', text, 0, 2), instanceId)).toBeNull();
+        expect(unityTransfer.addChunk({ ...chunkOf('c2', text, 0, 2), data: 'XYZ' }, instanceId)).toBeNull();
+        expect(unityTransfer.addChunk({ ...chunkOf('c2', text, 0, 2), index: 5 }, instanceId)).toBeNull();
+        expect(unityTransfer.addChunk(chunkOf('c2', text, 1, 2), instanceId)).toEqual({ type: 'LevelData', payload: text });
+    });
+
+    it('keeps messages with the same chunk id apart per instance', () => {
+        const first = newInstanceId();
+        const second = newInstanceId();
+
+        unityTransfer.addChunk(chunkOf('same', 'aaaa', 0, 2), first);
+        unityTransfer.addChunk(chunkOf('same', 'bbbb', 0, 2), second);
+
+        expect(unityTransfer.addChunk(chunkOf('same', 'bbbb', 1, 2), second)).toEqual({ type: 'LevelData', payload: 'bbbb' });
+        expect(unityTransfer.addChunk(chunkOf('same', 'aaaa', 1, 2), first)).toEqual({ type: 'LevelData', payload: 'aaaa' });
+    });
+
+    it('drops an incomplete message after the ttl', () => {
+        vi.useFakeTimers();
+        const warn = vi.spyOn(console, 'warn').mockImplementation(() => { });
+        unityTransfer.setChunking({ ttl: 1000 });
+        const instanceId = newInstanceId();
+
+        unityTransfer.addChunk(chunkOf('late', 'abcdef', 0, 3), instanceId);
+        unityTransfer.addChunk(chunkOf('late', 'abcdef', 1, 3), instanceId);
+        vi.advanceTimersByTime(1000);
+
+        expect(warn).toHaveBeenCalledOnce();
+        // the missing piece alone starts a new message instead of completing the old one
+        expect(unityTransfer.addChunk(chunkOf('late', 'abcdef', 2, 3), instanceId)).toBeNull();
+    });
+
+    it('forgets partial messages of a cleared instance', () => {
+        const instanceId = newInstanceId();
+        unityTransfer.addChunk(chunkOf('c3', 'abcd', 0, 2), instanceId);
+
+        unityTransfer.dropInstance(instanceId);
+
+        expect(unityTransfer.addChunk(chunkOf('c3', 'abcd', 1, 2), instanceId)).toBeNull();
+    });
+
+    it('delivers a chunked message from Unity as one message through the bridge', async () => {
+        const instanceId = newInstanceId();
+        const fake = createFakeUnity({ autoReady: false });
+        const instance = await fake.createUnityInstance(null, { reactInstanceId: instanceId, ...unityBridge.configHooks(instanceId) });
+        unityBridge.setInstance(instance, instanceId);
+        const received = [];
+        const onLevel = (payload) => received.push(payload);
+        unityBridge.registerHandler('LevelData', onLevel, { instanceId });
+
+        const level = { tiles: Array.from({ length: 200 }, (_, i) => i) };
+        fake.emitChunked('LevelData', level, 100);
+        unityBridge.unregisterHandler('LevelData', onLevel, { instanceId });
+
+        expect(received).toEqual([level]);
+    });
+});
+
+describe('unityTransfer outbound chunking', () => {
+    it('splits long payloads without cutting a surrogate pair, and the receiver joins them', async () => {
+        unityTransfer.setChunking({ maxSize: 8 });
+        const instanceId = newInstanceId();
+        const fake = createFakeUnity({ autoReady: false });
+        const instance = await fake.createUnityInstance(null, { reactInstanceId: instanceId, ...unityBridge.configHooks(instanceId) });
+        const payload = { text: 'ab😀cd😀ef😀' };
+
+        const split = unityTransfer.splitOutbound('Game', 'Load', JSON.stringify(payload));
+        for (const chunk of split.chunks) {
+            const { data } = JSON.parse(chunk);
+            const last = data.charCodeAt(data.length - 1);
+            expect(last >= 0xd800 && last <= 0xdbff).toBe(false);
+        }
+
+        unityBridge.setInstance(instance, instanceId);
+        unityBridge.send('Game', 'Load', payload, { instanceId });
+        expect(fake.sentTo('Game', 'Load').map((s) => s.payload)).toEqual([payload]);
+    });
+
+    it('leaves payloads within maxSize alone', () => {
+        expect(unityTransfer.splitOutbound('Game', 'Load', '{"small":true}')).toBeNull();
+    });
+});
+
+describe('unityTransfer binary', () => {
+    it('hands out the bytes once and copies them away from the caller', () => {
+        const source = new Uint8Array([1, 2, 3]);
+        const { transferId, length } = unityTransfer.putBinary(unityTransfer.toBytes(source), newInstanceId());
+        source[0] = 9;
+
+        expect(length).toBe(3);
+        expect(Array.from(unityTransfer.takeBinary(transferId))).toEqual([1, 2, 3]);
+        expect(unityTransfer.takeBinary(transferId)).toBeNull();
+    });
+
+    it('drops delivered bytes Unity never copied after their ttl', () => {
+        vi.useFakeTimers();
+        vi.spyOn(console, 'warn').mockImplementation(() => { });
+        const { transferId } = unityTransfer.putBinary(new Uint8Array([1]), newInstanceId());
+
+        unityTransfer.expireBinary(transferId, 100);
+        vi.advanceTimersByTime(100);
+
+        expect(unityTransfer.takeBinary(transferId)).toBeNull();
+    });
+});
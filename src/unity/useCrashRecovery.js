@@ -0,0 +1,151 @@
+import { useEffect, useRef, useState } from 'react';
+import unityApi from './unityApi';
+
+// Unity sends its state with SendSnapshotToJS (UnityMessage.jslib) as this message type...
+export const UNITY_SNAPSHOT = 'UnitySnapshot';
+// ...and gets the last one back after a recovery reload, as { snapshot, attempt, crashedAt }
+export const RECOVERY_OBJECT = 'ReactRecovery';
+export const RECOVERY_RESTORE_METHOD = 'RestoreSnapshot';
+
+export const RECOVERY_EVENTS = {
+    SCHEDULED: 'scheduled', // a reload will start after `delay` ms
+    RELOADING: 'reloading',
+    RESTORED: 'restored', // the new instance is ready; `restored` says whether a snapshot was sent back
+    GAVE_UP: 'gave-up', // maxAttempts reached; the crash screen stays until the user retries
+};
+
+const DEFAULTS = { maxAttempts: 3, baseDelay: 1000, maxDelay: 30000, resetAfter: 60000 };
+
+function recoveryDelay(attempt, { baseDelay, maxDelay }) {
+    return Math.min(maxDelay, baseDelay * 2 ** (attempt - 1));
+}
+
+/**
+ * Reload a crashed Unity instance automatically and hand it the last state snapshot.
+ * Used by <UnityGame recovery>; `crash`, `loadError`, `unityReady` and `reload` come from
+ * useUnityLoader / UnityGame.
+ *
+ * - While enabled, the latest `UnitySnapshot` message from the instance is kept.
+ * - A crash (or a failed recovery reload) schedules a reload after an exponential delay
+ *   (baseDelay, 2x baseDelay, ... capped at maxDelay), up to maxAttempts in a row.
+ * - Once the reloaded instance sends UnityReady, the snapshot is sent to
+ *   ReactRecovery.RestoreSnapshot as `{ snapshot, attempt, crashedAt }`.
+ * - After `resetAfter` ms without a crash the attempt count starts over.
+ * - Each step is reported to `onRecovery({ type, attempt, maxAttempts, delay, crash, snapshotAt, restored, instanceId, at })`.
+ *
+ * @param {Object} params
+ * @param {boolean|Object} params.recovery - false, true, or { maxAttempts, baseDelay, maxDelay, resetAfter }
+ * @returns {{recovering: ({attempt: number, maxAttempts: number, delay: number}|null), gaveUp: boolean, retry: function():void}}
+ *   `recovering` is set while a reload is scheduled. `retry` starts a scheduled reload right
+ *   away; otherwise it reloads by hand (resetting the attempt count) and still restores the snapshot
+ */
+export default function useCrashRecovery({ recovery, instanceId, crash, loadError, unityReady, reload, onRecovery }) {
+    const enabled = Boolean(recovery);
+    const options = { ...DEFAULTS, ...(typeof recovery === 'object' && recovery !== null ? recovery : {}) };
+
+    const snapshotRef = useRef(null); // { payload, at }
+    const attemptRef = useRef(0);
+    const restoreRef = useRef(null); // { attempt, crashedAt, crash } while a reload is pending restore
+    const lastCrashRef = useRef(null);
+    const timerRef = useRef(null);
+    const pendingReloadRef = useRef(null); // the scheduled reload, so retry() can run it early
+    const reloadRef = useRef(reload);
+    const onRecoveryRef = useRef(onRecovery);
+    const optionsRef = useRef(options);
+    const emitRef = useRef(null);
+    const [recovering, setRecovering] = useState(null);
+    const [gaveUp, setGaveUp] = useState(false);
+
+    const emit = (type, fields) => {
+        const event = { type, maxAttempts: optionsRef.current.maxAttempts, instanceId, snapshotAt: snapshotRef.current ? snapshotRef.current.at : null, at: Date.now(), ...fields };
+        if (typeof onRecoveryRef.current !== 'function') return;
+        try { onRecoveryRef.current(event); } catch (e) { console.error('onRecovery error', e); }
+    };
+
+    // the effects below read the latest callbacks and options through these refs
+    useEffect(() => {
+        reloadRef.current = reload;
+        onRecoveryRef.current = onRecovery;
+        optionsRef.current = options;
+        emitRef.current = emit;
+    });
+
+    // keep the latest snapshot from this instance
+    useEffect(() => {
+        if (!enabled) return undefined;
+        return unityApi.on(UNITY_SNAPSHOT, (payload) => {
+            snapshotRef.current = { payload, at: Date.now() };
+        }, { instanceId });
+    }, [enabled, instanceId]);
+
+    useEffect(() => () => clearTimeout(timerRef.current), []);
+
+    // a crash, or a recovery reload that failed, schedules the next attempt
+    const failure = crash || (restoreRef.current ? loadError : null);
+    useEffect(() => {
+        if (!enabled || !failure || failure === lastCrashRef.current) return;
+        lastCrashRef.current = failure;
+        const { maxAttempts, baseDelay, maxDelay } = optionsRef.current;
+        clearTimeout(timerRef.current);
+        const attempt = attemptRef.current + 1;
+        if (attempt > maxAttempts) {
+            pendingReloadRef.current = null;
+            console.warn(`[useCrashRecovery] giving up after ${maxAttempts} attempts`);
+            restoreRef.current = null;
+            setRecovering(null);
+            setGaveUp(true);
+            emitRef.current(RECOVERY_EVENTS.GAVE_UP, { attempt: attemptRef.current, crash: failure });
+            return;
+        }
+        attemptRef.current = attempt;
+        const delay = recoveryDelay(attempt, { baseDelay, maxDelay });
+        const crashedAt = Date.now();
+        setRecovering({ attempt, maxAttempts, delay });
+        emitRef.current(RECOVERY_EVENTS.SCHEDULED, { attempt, delay, crash: failure });
+        const start = () => {
+            clearTimeout(timerRef.current);
+            pendingReloadRef.current = null;
+            restoreRef.current = { attempt, crashedAt, crash: failure };
+            // the loading overlay takes over from here
+            setRecovering(null);
+            emitRef.current(RECOVERY_EVENTS.RELOADING, { attempt, crash: failure });
+            Promise.resolve(reloadRef.current && reloadRef.current()).catch(() => { /* surfaces as loadError */ });
+        };
+        pendingReloadRef.current = start;
+        timerRef.current = setTimeout(start, delay);
+    }, [enabled, failure]);
+
+    // the reloaded instance is ready: send the snapshot back
+    useEffect(() => {
+        if (!unityReady || !restoreRef.current) return undefined;
+        const { attempt, crashedAt, crash: cause } = restoreRef.current;
+        restoreRef.current = null;
+        lastCrashRef.current = null;
+        const snapshot = snapshotRef.current;
+        if (snapshot) {
+            unityApi.send({ snapshot: snapshot.payload, attempt, crashedAt }, RECOVERY_OBJECT, RECOVERY_RESTORE_METHOD, { instanceId });
+        }
+        emitRef.current(RECOVERY_EVENTS.RESTORED, { attempt, crash: cause, restored: Boolean(snapshot) });
+        // a run that lasts resetAfter without crashing earns a fresh set of attempts
+        clearTimeout(timerRef.current);
+        timerRef.current = setTimeout(() => { attemptRef.current = 0; }, optionsRef.current.resetAfter);
+        return undefined;
+    }, [unityReady, instanceId]);
+
+    const retry = () => {
+        // waiting for a scheduled reload: start it now
+        if (pendingReloadRef.current) {
+            pendingReloadRef.current();
+            return undefined;
+        }
+        clearTimeout(timerRef.current);
+        attemptRef.current = 0;
+        lastCrashRef.current = null;
+        setGaveUp(false);
+        setRecovering(null);
+        if (enabled) restoreRef.current = { attempt: 0, crashedAt: crash ? crash.at : Date.now(), crash };
+        return reloadRef.current && reloadRef.current();
+    };
+
+    return { recovering, gaveUp, retry };
+}
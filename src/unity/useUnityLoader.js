@@ -1,4 +1,10 @@
 import { useEffect, useRef, useState } from 'react';
+import unityAssetCache from './unityAssetCache';
+import unityBuildManifest from './unityBuildManifest';
+import unityCapabilities, { VERDICTS } from './unityCapabilities';
+import unityRuntimeEvents from './unityRuntimeEvents';
+import unityTransfer from './unityTransfer';
+import unityBridge, { DEFAULT_INSTANCE_ID } from './unityBridge';
 
 export const LOADING_STATES = {
     IDLE: 'idle',
@@ -6,24 +12,161 @@ export const LOADING_STATES = {
     READY: 'ready',
     ERROR: 'error',
     RELOADING: 'reloading',
+    // pre-flight check found problems; waiting for proceed()
+    BLOCKED: 'blocked',
+    // the running instance hit a fatal runtime error (see `crash`); reload() to start over
+    CRASHED: 'crashed',
 };
 
+// Coarse loading phases derived from the loader's progress callback:
+// 0..0.9 is reported while build files download, 0.9 once they are all fetched
+// (wasm compile / data unpack) and 1 when the runtime starts up.
+export const LOADING_PHASES = {
+    CHECKING: 'checking',
+    FETCHING_LOADER: 'fetching-loader',
+    DOWNLOADING: 'downloading',
+    COMPILING: 'compiling',
+    STARTING: 'starting',
+};
+
+const DOWNLOAD_PROGRESS_END = 0.9;
+
+// Stages of one load attempt that can time out and be retried
+export const LOAD_STAGES = {
+    SCRIPT: 'script', // fetching and running the loader script
+    INSTANCE: 'instance', // createUnityInstance: downloading, compiling and starting the build
+};
+
+// ms per stage; 0 waits forever
+const DEFAULT_TIMEOUTS = { script: 30000, instance: 180000 };
+// `max` retries after the first attempt, waiting baseDelay, 2x baseDelay, ... (capped at maxDelay)
+const DEFAULT_RETRIES = { max: 2, baseDelay: 1000, maxDelay: 10000 };
+
+// createUnityInstance failures that look like the network rather than the build
+const NETWORK_ERROR_PATTERN = /failed to fetch|network ?error|load failed|failed to download|unable to (download|fetch)|err_(network|connection|internet|timed_out)|http(?: error| status)?:? ?5\d\d|timed out/i;
+
+/**
+ * Create a load error that says where the load failed.
+ * @param {string} message
+ * @param {Object} fields - { code, stage }
+ * @returns {Error}
+ */
+function stageError(message, { code, stage } = {}) {
+    const err = new Error(message);
+    if (code) err.code = code;
+    if (stage) err.stage = stage;
+    return err;
+}
+
+// Worth another attempt: timeouts, the loader script not loading, network-looking errors
+function isRetryable(err) {
+    if (!err || err.code === 'UNITY_LOAD_CANCELLED') return false;
+    if (err.code === 'UNITY_LOAD_TIMEOUT' || err.code === 'UNITY_LOADER_SCRIPT_FAILED') return true;
+    return NETWORK_ERROR_PATTERN.test(String(err.message || err));
+}
+
+function retryDelay(attempt, { baseDelay, maxDelay }) {
+    return Math.min(maxDelay, baseDelay * 2 ** (attempt - 1));
+}
+
+/**
+ * Sum byte counts over the loader's per-file download records.
+ * Files without a Content-Length are skipped; returns null when nothing is known yet.
+ *
+ * @param {Object} downloadProgress - map of file key -> { lengthComputable, loaded, total }
+ * @returns {{loaded: number, total: number}|null}
+ */
+function sumDownloadBytes(downloadProgress) {
+    let loaded = 0;
+    let total = 0;
+    let known = false;
+    for (const key of Object.keys(downloadProgress || {})) {
+        const entry = downloadProgress[key];
+        if (!entry || !entry.lengthComputable) continue;
+        loaded += entry.loaded || 0;
+        total += entry.total || 0;
+        known = true;
+    }
+    return known ? { loaded, total } : null;
+}
+
+// Build files a load fetches
+function buildFileUrls({ loaderSrc, dataUrl, frameworkUrl, codeUrl }) {
+    return [loaderSrc, dataUrl, frameworkUrl, codeUrl];
+}
+
+// Loader scripts shared between hook instances (several <UnityGame> on one page use the
+// same loader file). loaderSrc -> { script, loaded, users }. The script node is only
+// removed once the last hook using it cleans up.
+const sharedLoaderScripts = new Map();
+
+function releaseLoaderScript(script) {
+    for (const [src, entry] of sharedLoaderScripts) {
+        if (entry.script !== script) continue;
+        entry.users -= 1;
+        if (entry.users > 0) return false;
+        sharedLoaderScripts.delete(src);
+        break;
+    }
+    return true;
+}
+
 // useUnityLoader(canvasRef, options)
-// options: { dataUrl, frameworkUrl, codeUrl, loaderSrc, streamingAssetsUrl, companyName, productName, productVersion }
-// returns: { unityInstance, unityInstanceRef, createdRef, loadError, reload, getLoadingPromise, loadingState, isLoading, isReady }
+// options: { dataUrl, frameworkUrl, codeUrl, loaderSrc, streamingAssetsUrl, companyName, productName, productVersion, manifestUrl, instanceId, createUnityInstance, cacheVersion, preflight, devicePixelRatio, timeouts, retries }
+// returns: { unityInstance, unityInstanceRef, createdRef, loadError, reload, cancel, getLoadingPromise, loadingState, isLoading, isReady, progress, phase, bytes, cacheStats, variant, capabilities, proceed, crash }
 /**
  * React hook that loads a Unity WebGL build into a provided canvas element.
  *
  * @param {React.RefObject<HTMLCanvasElement>} canvasRef - ref to the canvas element Unity will render into
- * @param {Object} [options] - loader options (dataUrl, frameworkUrl, codeUrl, loaderSrc, etc.)
- * @returns {Object} - { unityInstance, unityInstanceRef, createdRef, loadError, reload, getLoadingPromise, loadingState, isLoading, isReady }
+ * @param {Object} [options] - loader options (dataUrl, frameworkUrl, codeUrl, loaderSrc, instanceId, etc.)
+ * @returns {Object} - { unityInstance, unityInstanceRef, createdRef, loadError, reload, cancel, getLoadingPromise, loadingState, isLoading, isReady, progress, phase, bytes, cacheStats, variant, capabilities, proceed, crash }
  *
  * Notes:
  * - The hook injects the Unity loader script (loaderSrc) and calls createUnityInstance.
+ *   When another mounted hook already injected the same loaderSrc, that script is reused.
+ * - `instanceId` is handed to Unity as the `reactInstanceId` config key; the jslib stamps it
+ *   on every UnityMessage so the bridge can route messages per instance. The jslib delivers
+ *   them through `reactChannel`, a private channel to the bridge. `reactTransfers`
+ *   lets the jslib copy bytes sent with unityApi.sendBinary (see unityTransfer.js).
+ * - Passing `createUnityInstance` skips the loader script and uses that function instead,
+ *   e.g. the headless stand-in from `fakeUnity.js` for development and tests.
  * - It manages lifecycle: cleanup on unmount, reload(), and exposes the current loading promise.
+ * - `progress` (0–1) and `phase` (one of LOADING_PHASES, null when idle/ready) follow the
+ *   loader's progress callback; `bytes` ({ loaded, total }) is set once file sizes are known.
+ * - With `cacheVersion`, the build files are served through the versioned cache in
+ *   `unityAssetCache.js`; `cacheStats` ({ hits, misses, bytesFromCache, bytesFromNetwork })
+ *   counts this load's build file requests (null when caching is off). `cacheVersion: true`
+ *   uses the build's productVersion.
+ * - With `manifestUrl`, build files and companyName/productName/productVersion come from a
+ *   build manifest (see `unityBuildManifest.js`) instead of the individual options. Supported
+ *   variants are tried best first; when one fails to load the next one is tried, and
+ *   `variant` names the one that started. A WebGL1 fallback only helps when the WebGL2
+ *   attempt failed before creating its context: a canvas keeps its first context type.
+ * - Before the loader is injected, the device is probed (`unityCapabilities.js`; pass
+ *   `preflight: false` to skip it, or probe options such as `{ requireWebGL2: true }`).
+ *   The report is returned as `capabilities`. When it has blockers or warnings the hook
+ *   stops in the BLOCKED state until `proceed()` is called. The probe is skipped with an
+ *   injected `createUnityInstance`.
+ * - `devicePixelRatio` sets the render resolution scale (Unity's config key of the same
+ *   name); Unity follows `window.devicePixelRatio` when it is not set.
+ * - The framework's console output, uncaught errors and aborts are reported as events by
+ *   `unityRuntimeEvents.js`. A fatal one after the instance started sets `crash` to that
+ *   event and the state to CRASHED; errors during startup still surface as `loadError`.
+ * - Each attempt runs two stages, `script` and `instance` (LOAD_STAGES), limited by
+ *   `timeouts` ({ script, instance } in ms, 0 = no limit). Timeouts, a loader script that
+ *   fails to load and network-looking errors are retried with exponential backoff
+ *   (`retries`: { max, baseDelay, maxDelay }, or a number for max; 0 turns retries off).
+ *   A failed load's `loadError` has `stage`, `attempts` and, for timeouts, code
+ *   UNITY_LOAD_TIMEOUT. A timed out `instance` stage is retried only once its
+ *   createUnityInstance has settled and the late instance has quit, so two instances never
+ *   share the canvas; if that takes longer than another `timeouts.instance`, the load fails.
+ * - `cancel()` aborts the load in flight: whatever it still delivers is discarded through
+ *   loadIdRef, and the hook ends in ERROR with a UNITY_LOAD_CANCELLED error until reload().
  */
 export default function useUnityLoader(canvasRef, options = {}) {
-    const { dataUrl, frameworkUrl, codeUrl, loaderSrc, streamingAssetsUrl = 'StreamingAssets', companyName = 'DefaultCompany', productName = 'ReactUnityTest', productVersion = '0.1', integrity, crossOrigin } = options;
+    const { dataUrl, frameworkUrl, codeUrl, loaderSrc, streamingAssetsUrl = 'StreamingAssets', companyName = 'DefaultCompany', productName = 'ReactUnityTest', productVersion = '0.1', integrity, crossOrigin, manifestUrl, instanceId, createUnityInstance, cacheVersion, preflight = true, devicePixelRatio, timeouts, retries } = options;
+    const stageTimeouts = { ...DEFAULT_TIMEOUTS, ...(timeouts || {}) };
+    const retryOptions = typeof retries === 'number' ? { ...DEFAULT_RETRIES, max: retries } : { ...DEFAULT_RETRIES, ...(retries || {}) };
 
     const unityInstanceRef = useRef(null);
     const createdRef = useRef(false);
@@ -34,10 +177,65 @@ export default function useUnityLoader(canvasRef, options = {}) {
     const reloadingRef = useRef(false);
     const loadingPromiseRef = useRef(null);
     const loadIdRef = useRef(0);
+    // build being loaded: files and product info, from the options or a manifest variant
+    const buildRef = useRef(null);
+    // true while a failing manifest variant can still fall back to the next one
+    const fallbackRef = useRef(false);
+    const manifestLoadRef = useRef(0);
+    // pre-flight: user chose to load despite the report; pending load while blocked
+    const proceedRef = useRef(false);
+    const blockedLoadRef = useRef(null);
+    // stage of the attempt in flight, a function that rejects it (timeout / cancel), and the retry wait
+    const stageRef = useRef(null);
+    const attemptRef = useRef(0);
+    const abortStageRef = useRef(null);
+    const retryTimerRef = useRef(null);
+    // an instance stage that timed out: its createUnityInstance may still be running on the canvas
+    const staleCreationRef = useRef(null);
     const [unityInstance, setUnityInstance] = useState(null);
     const [loadError, setLoadError] = useState(null);
     const [loadingState, setLoadingState] = useState(LOADING_STATES.IDLE);
-    
+    const [progress, setProgress] = useState(0);
+    const [phase, setPhase] = useState(null);
+    const [bytes, setBytes] = useState(null);
+    const [cacheStats, setCacheStats] = useState(null);
+    const [variant, setVariant] = useState(null);
+    const [capabilities, setCapabilities] = useState(null);
+    const [crash, setCrash] = useState(null);
+
+    /**
+     * Reset progress reporting for a fresh load attempt.
+     */
+    const resetProgress = (nextPhase = null) => {
+        setProgress(0);
+        setPhase(nextPhase);
+        setBytes(null);
+        setCacheStats(null);
+    };
+
+    // Surface a load error unless another manifest variant is about to be tried
+    const reportError = (err) => {
+        if (!fallbackRef.current) setLoadError(err);
+    };
+
+    const cancelledError = () => {
+        const err = stageError('Unity load cancelled', { code: 'UNITY_LOAD_CANCELLED', stage: stageRef.current });
+        err.attempts = attemptRef.current;
+        return err;
+    };
+
+    const buildFromOptions = () => ({
+        variant: null,
+        loaderSrc: loaderSrc || '/Build/UnityGame.loader.js',
+        dataUrl: dataUrl || '/Build/UnityGame.data',
+        frameworkUrl: frameworkUrl || '/Build/UnityGame.framework.js',
+        codeUrl: codeUrl || '/Build/UnityGame.wasm',
+        streamingAssetsUrl,
+        companyName,
+        productName,
+        productVersion,
+    });
+
     /**
      * Initialize/create the Unity instance once the loader script has executed.
      * This calls window.createUnityInstance(canvas, config) and returns the resulting promise.
@@ -48,34 +246,62 @@ export default function useUnityLoader(canvasRef, options = {}) {
      */
     const initialize = (myLoadId) => {
         if (!canvasRef.current) {
-            const err = new Error('Unity canvas not found.');
-            console.error(err);
-            setLoadError(err);
-            return Promise.reject(err);
+            return Promise.reject(new Error('Unity canvas not found.'));
         }
 
-        const create = window.createUnityInstance || globalThis.createUnityInstance;
+        const create = createUnityInstance || window.createUnityInstance || globalThis.createUnityInstance;
         if (typeof create !== 'function') {
-            const err = new Error('createUnityInstance is not available on window after loader loaded.');
-            console.error(err);
-            setLoadError(err);
-            return Promise.reject(err);
+            return Promise.reject(new Error('createUnityInstance is not available on window after loader loaded.'));
         }
 
+        // The loader copies config keys onto its Module, so handing it our own
+        // downloadProgress object lets us read per-file byte counts as they update.
+        const downloadProgress = {};
+        const onProgress = (value) => {
+            if ((typeof myLoadId !== 'undefined' && loadIdRef.current !== myLoadId) || !mountedRef.current) return;
+            const p = Math.max(0, Math.min(1, Number(value) || 0));
+            setProgress(p);
+            if (p >= 1) setPhase(LOADING_PHASES.STARTING);
+            else if (p >= DOWNLOAD_PROGRESS_END) setPhase(LOADING_PHASES.COMPILING);
+            else setPhase(LOADING_PHASES.DOWNLOADING);
+            const b = sumDownloadBytes(downloadProgress);
+            if (b) setBytes(b);
+        };
+
+        // A fatal runtime event from the started instance of this load is a crash
+        const onRuntimeEvent = (event) => {
+            if (!event.fatal || !createdRef.current || !mountedRef.current) return;
+            if (typeof myLoadId !== 'undefined' && loadIdRef.current !== myLoadId) return;
+            console.error(`[useUnityLoader] Unity crashed (${event.type})`, event.message);
+            setCrash((prev) => prev || event);
+            setLoadingState(LOADING_STATES.CRASHED);
+        };
+
+        const build = buildRef.current || buildFromOptions();
+        setPhase(LOADING_PHASES.DOWNLOADING);
         return create(canvasRef.current, {
-            dataUrl: dataUrl || '/Build/UnityGame.data',
-            frameworkUrl: frameworkUrl || '/Build/UnityGame.framework.js',
-            codeUrl: codeUrl || '/Build/UnityGame.wasm',
-            streamingAssetsUrl,
-            companyName,
-            productName,
-            productVersion,
-        })
+            dataUrl: build.dataUrl,
+            frameworkUrl: build.frameworkUrl,
+            codeUrl: build.codeUrl,
+            streamingAssetsUrl: build.streamingAssetsUrl,
+            companyName: build.companyName,
+            productName: build.productName,
+            productVersion: build.productVersion,
+            reactInstanceId: instanceId,
+            downloadProgress,
+            ...unityRuntimeEvents.configHooks(instanceId || DEFAULT_INSTANCE_ID, onRuntimeEvent),
+            ...unityTransfer.moduleHooks(),
+            ...unityBridge.configHooks(instanceId || DEFAULT_INSTANCE_ID),
+            ...(devicePixelRatio ? { devicePixelRatio } : {}),
+        }, onProgress)
             .then((instance) => {
                 // If this initialize call is from a previous load, ignore it
                 if (typeof myLoadId !== 'undefined' && loadIdRef.current !== myLoadId) {
-                    try { instance.Quit && instance.Quit(); } catch (e) { /* ignore */ }
-                    return Promise.reject(new Error('Stale Unity load result'));
+                    // settle only once it has quit, so a retry never shares the canvas with it
+                    return Promise.resolve()
+                        .then(() => instance.Quit && instance.Quit())
+                        .catch(() => { /* ignore */ })
+                        .then(() => Promise.reject(new Error('Stale Unity load result')));
                 }
                 if (!mountedRef.current) {
                     // if unmounted while creating, try to quit immediately
@@ -84,27 +310,287 @@ export default function useUnityLoader(canvasRef, options = {}) {
                 }
                 unityInstanceRef.current = instance;
                 setUnityInstance(instance);
+                setProgress(1);
+                setPhase(null);
                 setLoadingState(LOADING_STATES.READY);
                 createdRef.current = true;
                 return instance;
-            })
-            .catch((err) => {
-                console.error('Failed to create Unity instance:', err);
-                setLoadError(err);
-                setLoadingState(LOADING_STATES.ERROR);
-                throw err;
+            }, (err) => {
+                // the Unity loader rejects with plain strings
+                throw err instanceof Error ? err : new Error(String(err));
             });
     };
 
     /**
-     * Inject the Unity loader script into the document and start initialization.
-     * Returns a promise that resolves when createUnityInstance completes (or rejects on error).
+     * Start a load, from the manifest when `manifestUrl` is set, otherwise from the
+     * individual URL options. Returns a promise that resolves with the Unity instance.
      *
      * @returns {Promise<any>} resolves with the Unity instance
      */
     const injectLoader = () => {
-        const loader = loaderSrc || '/Build/UnityGame.loader.js';
+        if (preflight && !proceedRef.current && typeof createUnityInstance !== 'function') return runPreflight();
+        if (manifestUrl) return loadFromManifest();
+        return startBuild(buildFromOptions());
+    };
+
+    /**
+     * Probe the device, then either continue loading or wait in the BLOCKED state
+     * until proceed() is called.
+     *
+     * @returns {Promise<any>} resolves with the Unity instance
+     */
+    const runPreflight = async () => {
+        setLoadError(null);
+        setLoadingState(LOADING_STATES.LOADING);
+        resetProgress(LOADING_PHASES.CHECKING);
+        const myLoadId = loadIdRef.current;
+        const report = await unityCapabilities.probeCapabilities(typeof preflight === 'object' ? preflight : undefined);
+        if (!mountedRef.current) throw new Error('Unmounted before Unity loader started');
+        if (loadIdRef.current !== myLoadId) throw cancelledError();
+        setCapabilities(report);
+        if (report.verdict === VERDICTS.SUPPORTED) {
+            proceedRef.current = true;
+            return injectLoader();
+        }
+        console.warn(`[useUnityLoader] pre-flight check: ${report.verdict}`, report);
+        setLoadingState(LOADING_STATES.BLOCKED);
+        resetProgress();
+        return new Promise((resolve, reject) => {
+            blockedLoadRef.current = { resolve, reject };
+        });
+    };
+
+    /**
+     * Load despite a pre-flight report with blockers or warnings.
+     */
+    const proceed = () => {
+        const blocked = blockedLoadRef.current;
+        if (!blocked) return;
+        blockedLoadRef.current = null;
+        proceedRef.current = true;
+        injectLoader().then(blocked.resolve, blocked.reject);
+    };
+
+    /**
+     * Load one build: prepares the build file cache when `cacheVersion` is set, then
+     * injects the loader.
+     *
+     * @param {Object} build - files and product info (see buildFromOptions)
+     * @returns {Promise<any>} resolves with the Unity instance
+     */
+    const startBuild = (build) => {
+        buildRef.current = build;
+        setVariant(build.variant);
+        const version = cacheVersion === true ? build.productVersion : cacheVersion;
+        if (!version || typeof createUnityInstance === 'function') return loadWithRetries();
+        setLoadError(null);
+        setLoadingState(LOADING_STATES.LOADING);
+        resetProgress(LOADING_PHASES.FETCHING_LOADER);
+        const myLoadId = loadIdRef.current;
+        return unityAssetCache.prepare({ build: build.productName, version, urls: buildFileUrls(build) })
+            .then(() => {
+                if (!mountedRef.current) throw new Error('Unmounted before Unity loader started');
+                if (loadIdRef.current !== myLoadId) throw cancelledError();
+                return loadWithRetries();
+            });
+    };
+
+    /**
+     * Run load attempts of the current build until one succeeds, the failure isn't worth
+     * retrying or `retries.max` is used up. Only the final failure is surfaced, with
+     * `stage` and `attempts` set on the error.
+     *
+     * @returns {Promise<any>} resolves with the Unity instance
+     */
+    const loadWithRetries = async () => {
+        for (let attempt = 1; ; attempt++) {
+            attemptRef.current = attempt;
+            try {
+                return await injectLoaderScript();
+            } catch (e) {
+                const err = e instanceof Error ? e : new Error(String(e));
+                if (!err.stage) err.stage = stageRef.current;
+                err.attempts = attempt;
+                // cancel() and unmounting have already reset the state
+                if (err.code === 'UNITY_LOAD_CANCELLED' || !mountedRef.current) throw err;
+                const fail = () => {
+                    console.error(`[useUnityLoader] ${err.stage || 'load'} stage failed after ${attempt} attempt(s):`, err);
+                    reportError(err);
+                    if (!fallbackRef.current) setLoadingState(LOADING_STATES.ERROR);
+                    return err;
+                };
+                if (attempt > retryOptions.max || !isRetryable(err)) throw fail();
+                const myLoadId = loadIdRef.current;
+                if (!(await settleStaleCreation())) {
+                    console.warn('[useUnityLoader] the timed out Unity instance is still being created; not retrying on the same canvas');
+                    throw fail();
+                }
+                if (loadIdRef.current !== myLoadId || !mountedRef.current) throw cancelledError();
+                const delay = retryDelay(attempt, retryOptions);
+                console.warn(`[useUnityLoader] ${err.stage} stage failed (attempt ${attempt}), retrying in ${delay} ms`, err);
+                releaseScript();
+                await new Promise((resolve, reject) => {
+                    retryTimerRef.current = setTimeout(resolve, delay);
+                    abortStageRef.current = reject;
+                });
+                abortStageRef.current = null;
+                if (loadIdRef.current !== myLoadId || !mountedRef.current) throw cancelledError();
+            }
+        }
+    };
+
+    /**
+     * Wait for the creation of an instance stage that timed out to settle; it quits its
+     * instance as a stale result. Gives up after another instance stage timeout.
+     * cancel() rejects the wait through abortStageRef.
+     *
+     * @returns {Promise<boolean>} false when it is still running
+     */
+    const settleStaleCreation = () => {
+        const pending = staleCreationRef.current;
+        if (!pending) return Promise.resolve(true);
+        const limit = Number(stageTimeouts[LOAD_STAGES.INSTANCE]) || 0;
+        return new Promise((resolve, reject) => {
+            const timer = limit > 0 ? setTimeout(() => resolve(false), limit) : null;
+            abortStageRef.current = reject;
+            pending.then(() => {
+                clearTimeout(timer);
+                if (staleCreationRef.current === pending) staleCreationRef.current = null;
+                resolve(true);
+            });
+        }).finally(() => { abortStageRef.current = null; });
+    };
+
+    /**
+     * Run one stage of a load attempt. The stage rejects with a UNITY_LOAD_TIMEOUT error once
+     * its timeout passes; anything it delivers later belongs to an abandoned attempt. A timed
+     * out instance stage is kept in staleCreationRef until it settles.
+     * cancel() rejects it right away through abortStageRef.
+     *
+     * @param {string} stage - a LOAD_STAGES value
+     * @param {function():Promise<any>} start
+     * @returns {Promise<any>}
+     */
+    const runStage = (stage, start) => new Promise((resolve, reject) => {
+        const timeout = Number(stageTimeouts[stage]) || 0;
+        let timer = null;
+        const finish = (settle, value) => {
+            clearTimeout(timer);
+            if (abortStageRef.current === abort) abortStageRef.current = null;
+            settle(value);
+        };
+        const abort = (err) => finish(reject, err);
+        stageRef.current = stage;
+        abortStageRef.current = abort;
+        const started = start();
+        if (timeout > 0) {
+            timer = setTimeout(() => {
+                loadIdRef.current += 1;
+                releaseScript();
+                if (stage === LOAD_STAGES.INSTANCE) staleCreationRef.current = started.then(() => { }, () => { });
+                abort(stageError(`Unity ${stage} stage timed out after ${timeout} ms`, { code: 'UNITY_LOAD_TIMEOUT', stage }));
+            }, timeout);
+        }
+        started.then((value) => finish(resolve, value), (err) => finish(reject, err));
+    });
+
+    /**
+     * Fetch the build manifest and try its supported variants, best first, until one loads.
+     * The error of the last variant is surfaced with `variantFailures` listing every attempt.
+     *
+     * @returns {Promise<any>} resolves with the Unity instance
+     */
+    const loadFromManifest = async () => {
+        const token = ++manifestLoadRef.current;
+        const isCurrent = () => mountedRef.current && manifestLoadRef.current === token;
         setLoadError(null);
+        setLoadingState(LOADING_STATES.LOADING);
+        resetProgress(LOADING_PHASES.FETCHING_LOADER);
+
+        let builds;
+        try {
+            const manifest = await unityBuildManifest.loadManifest(manifestUrl);
+            builds = unityBuildManifest.selectVariants(manifest).map((v) => ({
+                variant: v.name,
+                loaderSrc: v.loaderUrl,
+                dataUrl: v.dataUrl,
+                frameworkUrl: v.frameworkUrl,
+                codeUrl: v.codeUrl,
+                streamingAssetsUrl: manifest.streamingAssetsUrl || streamingAssetsUrl,
+                companyName: manifest.companyName || companyName,
+                productName: manifest.productName || productName,
+                productVersion: manifest.productVersion || productVersion,
+            }));
+            if (builds.length === 0) {
+                const err = new Error('None of the build variants in the manifest is supported by this browser.');
+                err.code = 'UNITY_NO_SUPPORTED_VARIANT';
+                throw err;
+            }
+        } catch (err) {
+            console.error('Failed to load Unity build manifest:', err);
+            if (isCurrent()) {
+                setLoadError(err);
+                setLoadingState(LOADING_STATES.ERROR);
+            }
+            throw err;
+        }
+
+        const failures = [];
+        for (let i = 0; i < builds.length; i++) {
+            if (!isCurrent()) throw new Error('Stale Unity load result');
+            fallbackRef.current = i < builds.length - 1;
+            try {
+                const instance = await startBuild(builds[i]);
+                fallbackRef.current = false;
+                return instance;
+            } catch (err) {
+                failures.push({ variant: builds[i].variant, error: err });
+                if (!fallbackRef.current || !isCurrent()) {
+                    fallbackRef.current = false;
+                    if (err && typeof err === 'object') err.variantFailures = failures;
+                    throw err;
+                }
+                console.warn(`[useUnityLoader] build variant ${builds[i].variant} failed, trying ${builds[i + 1].variant}`, err);
+                releaseScript();
+            }
+        }
+        return null; // not reached: the last variant either resolves or throws
+    };
+
+    /**
+     * One load attempt: inject the Unity loader script (the `script` stage), then create the
+     * instance (the `instance` stage).
+     *
+     * @returns {Promise<any>} resolves with the Unity instance
+     */
+    const injectLoaderScript = () => {
+        const loader = (buildRef.current || buildFromOptions()).loaderSrc;
+        setLoadError(null);
+        setLoadingState(LOADING_STATES.LOADING);
+        resetProgress(LOADING_PHASES.FETCHING_LOADER);
+        const myLoadId = loadIdRef.current;
+
+        // an injected createUnityInstance needs no loader script
+        const scriptLoaded = typeof createUnityInstance === 'function'
+            ? Promise.resolve()
+            : runStage(LOAD_STAGES.SCRIPT, () => loadScript(loader));
+        return scriptLoaded.then(() => {
+            if (loadIdRef.current !== myLoadId) throw cancelledError();
+            return runStage(LOAD_STAGES.INSTANCE, () => initialize(++loadIdRef.current));
+        });
+    };
+
+    /**
+     * Inject the loader script, or reuse the one another hook instance already injected.
+     *
+     * @param {string} loader - loader script URL
+     * @returns {Promise<void>} resolves once the script has run
+     */
+    const loadScript = (loader) => {
+        const shared = sharedLoaderScripts.get(loader);
+        if (shared && shared.users > 0 && shared.script.parentNode) {
+            return attachToLoader(shared);
+        }
 
         // For security, remove any existing loader script and inject a fresh one.
         try {
@@ -128,26 +614,19 @@ export default function useUnityLoader(canvasRef, options = {}) {
                 script.crossOrigin = crossOrigin;
             }
 
-            const onLoad = () => {
-                // once the loader script is present, call initialize() which returns the instance promise
-                const myLoadId = ++loadIdRef.current;
-                initialize(myLoadId).then((instance) => {
-                    resolve(instance);
-                }).catch((err) => {
-                    reject(err);
-                });
-            };
-
+            const onLoad = () => resolve();
             const onError = (e) => {
-                const err = new Error('Failed to load Unity loader script');
-                console.error(err, e);
                 // normalize to Error
-                const normalized = e instanceof Error ? e : new Error(err.message + (e && e.message ? ': ' + e.message : ''));
-                setLoadError(normalized);
-                reject(normalized);
+                const message = 'Failed to load Unity loader script' + (e && e.message ? ': ' + e.message : '');
+                reject(stageError(message, { code: 'UNITY_LOADER_SCRIPT_FAILED', stage: LOAD_STAGES.SCRIPT }));
             };
 
-            setLoadingState(LOADING_STATES.LOADING);
+            const entry = { script, loaded: false, users: 1 };
+            script.addEventListener('load', () => { entry.loaded = true; });
+            script.addEventListener('error', () => {
+                if (sharedLoaderScripts.get(loader) === entry) sharedLoaderScripts.delete(loader);
+            });
+            sharedLoaderScripts.set(loader, entry);
             script.addEventListener('load', onLoad);
             script.addEventListener('error', onError);
             document.body.appendChild(script);
@@ -155,11 +634,58 @@ export default function useUnityLoader(canvasRef, options = {}) {
             scriptRef.current = script;
             onLoadRef.current = onLoad;
             onErrorRef.current = onError;
-            // no pendingInitRef stored; callers can await injectLoader() if needed
-            // but we don't keep internal pending references.
         });
     };
 
+    /**
+     * Reuse a loader script another hook instance already injected.
+     *
+     * @param {{script: HTMLScriptElement, loaded: boolean, users: number}} shared
+     * @returns {Promise<void>} resolves once the script has run
+     */
+    const attachToLoader = (shared) => {
+        shared.users += 1;
+        return new Promise((resolve, reject) => {
+            const onLoad = () => resolve();
+            const onError = () => {
+                reject(stageError('Failed to load Unity loader script', { code: 'UNITY_LOADER_SCRIPT_FAILED', stage: LOAD_STAGES.SCRIPT }));
+            };
+
+            scriptRef.current = shared.script;
+            if (shared.loaded) {
+                onLoad();
+                return;
+            }
+            shared.script.addEventListener('load', onLoad);
+            shared.script.addEventListener('error', onError);
+            onLoadRef.current = onLoad;
+            onErrorRef.current = onError;
+        });
+    };
+
+    /**
+     * Remove this hook's loader script listeners and, if no other hook uses it, the script.
+     */
+    const releaseScript = () => {
+        if (!scriptRef.current) return;
+        try {
+            if (onLoadRef.current) scriptRef.current.removeEventListener('load', onLoadRef.current);
+            if (onErrorRef.current) scriptRef.current.removeEventListener('error', onErrorRef.current);
+        } catch (e) {
+            // ignore
+        }
+        try {
+            // leave the script in place while other hooks still use it
+            const lastUser = releaseLoaderScript(scriptRef.current);
+            if (lastUser && scriptRef.current.parentNode) scriptRef.current.parentNode.removeChild(scriptRef.current);
+        } catch (e) {
+            // ignore
+        }
+        scriptRef.current = null;
+        onLoadRef.current = null;
+        onErrorRef.current = null;
+    };
+
     /**
      * Cleanup the injected loader script and the Unity instance.
      * - Removes script element and listeners
@@ -169,24 +695,23 @@ export default function useUnityLoader(canvasRef, options = {}) {
      * @returns {Promise<void>}
      */
     const doCleanup = async () => {
-        // remove event listeners and script node
-        if (scriptRef.current) {
-            try {
-                if (onLoadRef.current) scriptRef.current.removeEventListener('load', onLoadRef.current);
-                if (onErrorRef.current) scriptRef.current.removeEventListener('error', onErrorRef.current);
-            } catch (e) {
-                // ignore
-            }
-            try {
-                if (scriptRef.current.parentNode) scriptRef.current.parentNode.removeChild(scriptRef.current);
-            } catch (e) {
-                // ignore
-            }
-            scriptRef.current = null;
-            onLoadRef.current = null;
-            onErrorRef.current = null;
+        // a load waiting on the pre-flight prompt won't continue
+        if (blockedLoadRef.current) {
+            blockedLoadRef.current.reject(new Error('Unity load cancelled before it started'));
+            blockedLoadRef.current = null;
         }
 
+        // neither will a load still in flight: its results are stale from here on
+        loadIdRef.current += 1;
+        manifestLoadRef.current += 1;
+        clearTimeout(retryTimerRef.current);
+        if (abortStageRef.current) abortStageRef.current(cancelledError());
+        stageRef.current = null;
+        attemptRef.current = 0;
+
+        // remove event listeners and script node
+        releaseScript();
+
         // quit the unity instance if present
         if (unityInstanceRef.current) {
             try {
@@ -205,7 +730,37 @@ export default function useUnityLoader(canvasRef, options = {}) {
         createdRef.current = false;
         loadingPromiseRef.current = null;
         setLoadError(null);
+        setCrash(null);
         setLoadingState(LOADING_STATES.IDLE);
+        resetProgress();
+    };
+
+    /**
+     * Abort the load in flight: the stage or retry wait it is in rejects with a
+     * UNITY_LOAD_CANCELLED error (also set as `loadError`, with `stage` and `attempts`), and
+     * whatever it still delivers is discarded. Call reload() to start over.
+     *
+     * @returns {boolean} false when no load was in flight
+     */
+    const cancel = () => {
+        const busy = loadingState === LOADING_STATES.LOADING || loadingState === LOADING_STATES.RELOADING || loadingState === LOADING_STATES.BLOCKED;
+        if (!busy) return false;
+        const err = cancelledError();
+        loadIdRef.current += 1;
+        manifestLoadRef.current += 1;
+        fallbackRef.current = false;
+        clearTimeout(retryTimerRef.current);
+        releaseScript();
+        if (blockedLoadRef.current) {
+            blockedLoadRef.current.reject(err);
+            blockedLoadRef.current = null;
+        }
+        if (abortStageRef.current) abortStageRef.current(err);
+        console.warn(`[useUnityLoader] load cancelled${err.stage ? ` in the ${err.stage} stage` : ''}`);
+        setLoadError(err);
+        setLoadingState(LOADING_STATES.ERROR);
+        resetProgress();
+        return true;
     };
 
     /**
@@ -231,6 +786,27 @@ export default function useUnityLoader(canvasRef, options = {}) {
         }
     };
 
+    // Count cache hits/misses for this hook's build files
+    useEffect(() => {
+        if (!cacheVersion) return undefined;
+        return unityAssetCache.onCacheEvent((event) => {
+            if ((event.type !== 'hit' && event.type !== 'miss') || !buildRef.current) return;
+            const urls = buildFileUrls(buildRef.current).map((u) => new URL(u, window.location.href).href);
+            if (!urls.includes(event.url)) return;
+            setCacheStats((prev) => {
+                const next = prev ? { ...prev } : { hits: 0, misses: 0, bytesFromCache: 0, bytesFromNetwork: 0 };
+                if (event.type === 'hit') {
+                    next.hits += 1;
+                    next.bytesFromCache += event.bytes || 0;
+                } else {
+                    next.misses += 1;
+                    next.bytesFromNetwork += event.bytes || 0;
+                }
+                return next;
+            });
+        });
+    }, [cacheVersion]);
+
     useEffect(() => {
         mountedRef.current = true;
 
@@ -269,5 +845,5 @@ export default function useUnityLoader(canvasRef, options = {}) {
     const getLoadingPromise = () => loadingPromiseRef.current;
     const isLoading = loadingState === LOADING_STATES.LOADING || loadingState === LOADING_STATES.RELOADING;
     const isReady = loadingState === LOADING_STATES.READY;
-    return { unityInstance, unityInstanceRef, createdRef, loadError, reload, getLoadingPromise, loadingState, isLoading, isReady };
+    return { unityInstance, unityInstanceRef, createdRef, loadError, reload, cancel, getLoadingPromise, loadingState, isLoading, isReady, progress, phase, bytes, cacheStats, variant, capabilities, proceed, crash };
 }
@@ -0,0 +1,148 @@
+// @vitest-environment jsdom
+import { act, renderHook, waitFor } from '@testing-library/react';
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import unityBridge from './unityBridge';
+import { createFakeUnity } from './fakeUnity';
+import useUnityLoader, { LOADING_PHASES, LOADING_STATES } from './useUnityLoader';
+
+// An injected createUnityInstance skips the loader script, the pre-flight probe and the
+// build cache, so these specs run the hook's state machine against fakeUnity alone.
+let _idCounter = 0;
+const used = [];
+
+function renderLoader(fake, options = {}) {
+    const instanceId = `loader-${++_idCounter}`;
+    used.push(instanceId);
+    const canvasRef = { current: document.createElement('canvas') };
+    const hook = renderHook(() => useUnityLoader(canvasRef, { instanceId, createUnityInstance: fake.createUnityInstance, ...options }));
+    return { ...hook, instanceId };
+}
+
+// let the mount effect reach createUnityInstance, where a manual load waits
+const started = () => act(async () => { });
+
+afterEach(() => {
+    vi.restoreAllMocks();
+    for (const instanceId of used.splice(0)) unityBridge.clearInstance(instanceId);
+});
+
+describe('useUnityLoader with fakeUnity', () => {
+    it('goes from LOADING to READY, reporting progress and bytes on the way', async () => {
+        const fake = createFakeUnity({ manual: true, totalBytes: 1000 });
+        const { result, instanceId } = renderLoader(fake);
+        expect(result.current.loadingState).toBe(LOADING_STATES.LOADING);
+        await started();
+
+        act(() => fake.progress(0.45));
+        expect(result.current).toMatchObject({ progress: 0.45, phase: LOADING_PHASES.DOWNLOADING, bytes: { loaded: 500, total: 1000 }, isLoading: true });
+        act(() => fake.progress(0.95));
+        expect(result.current.phase).toBe(LOADING_PHASES.COMPILING);
+
+        let instance;
+        await act(async () => { instance = fake.finishLoad(); });
+        expect(result.current).toMatchObject({ loadingState: LOADING_STATES.READY, isReady: true, progress: 1, phase: null, loadError: null });
+        expect(result.current.unityInstance).toBe(instance);
+        expect(instance.Module.reactInstanceId).toBe(instanceId);
+    });
+
+    it('goes from LOADING to ERROR when the build fails to load', async () => {
+        vi.spyOn(console, 'error').mockImplementation(() => { });
+        const fake = createFakeUnity({ manual: true });
+        const { result } = renderLoader(fake);
+        await started();
+
+        await act(async () => fake.failLoad(new Error('build is corrupt')));
+
+        expect(result.current.loadingState).toBe(LOADING_STATES.ERROR);
+        expect(result.current.loadError).toMatchObject({ message: 'build is corrupt', stage: 'instance', attempts: 1 });
+        expect(result.current.unityInstance).toBeNull();
+    });
+
+    it('retries a network-looking failure before it becomes READY', async () => {
+        vi.spyOn(console, 'warn').mockImplementation(() => { });
+        const fake = createFakeUnity();
+        fake.failNextLoad(new Error('Failed to fetch'));
+        const { result } = renderLoader(fake, { retries: { max: 1, baseDelay: 1 } });
+
+        await waitFor(() => expect(result.current.loadingState).toBe(LOADING_STATES.READY));
+        expect(fake.instances).toHaveLength(1);
+    });
+
+    it('retries a timed out instance stage only after the late instance has quit', async () => {
+        vi.spyOn(console, 'warn').mockImplementation(() => { });
+        vi.useFakeTimers();
+        const advance = (ms) => act(() => vi.advanceTimersByTimeAsync(ms));
+        try {
+            const fake = createFakeUnity({ manual: true });
+            const create = vi.fn(fake.createUnityInstance);
+            const { result } = renderLoader(fake, { createUnityInstance: create, timeouts: { instance: 100 }, retries: { max: 1, baseDelay: 1 } });
+            await started();
+
+            // timed out, but the first creation is still running
+            await advance(150);
+            expect(create).toHaveBeenCalledTimes(1);
+
+            const late = fake.finishLoad();
+            await advance(10);
+            expect(late.quit).toBe(true);
+            expect(create).toHaveBeenCalledTimes(2);
+
+            let instance;
+            await act(async () => { instance = fake.finishLoad(); });
+            expect(result.current.loadingState).toBe(LOADING_STATES.READY);
+            expect(result.current.unityInstance).toBe(instance);
+        } finally {
+            vi.useRealTimers();
+        }
+    });
+
+    it('fails instead of retrying while a timed out instance stage is still creating', async () => {
+        vi.spyOn(console, 'warn').mockImplementation(() => { });
+        vi.spyOn(console, 'error').mockImplementation(() => { });
+        const fake = createFakeUnity({ manual: true });
+        const create = vi.fn(fake.createUnityInstance);
+        const { result } = renderLoader(fake, { createUnityInstance: create, timeouts: { instance: 20 }, retries: { max: 1, baseDelay: 1 } });
+        await started();
+
+        await waitFor(() => expect(result.current.loadingState).toBe(LOADING_STATES.ERROR));
+        expect(result.current.loadError).toMatchObject({ code: 'UNITY_LOAD_TIMEOUT', stage: 'instance', attempts: 1 });
+        expect(create).toHaveBeenCalledTimes(1);
+    });
+
+    it('quits the running instance and loads a new one on reload()', async () => {
+        const fake = createFakeUnity();
+        const { result } = renderLoader(fake);
+        await waitFor(() => expect(result.current.isReady).toBe(true));
+        const first = result.current.unityInstance;
+
+        await act(() => result.current.reload());
+
+        expect(first.quit).toBe(true);
+        expect(fake.quitCount).toBe(1);
+        expect(result.current.loadingState).toBe(LOADING_STATES.READY);
+        expect(result.current.unityInstance).toBe(fake.instance);
+        expect(result.current.unityInstance).not.toBe(first);
+    });
+
+    it('quits the instance on unmount', async () => {
+        const fake = createFakeUnity();
+        const { result, unmount } = renderLoader(fake);
+        await waitFor(() => expect(result.current.isReady).toBe(true));
+
+        unmount();
+
+        await waitFor(() => expect(fake.quitCount).toBe(1));
+        expect(fake.instance.quit).toBe(true);
+    });
+
+    it('quits an instance that finishes creating after unmount', async () => {
+        const fake = createFakeUnity({ manual: true });
+        const { unmount } = renderLoader(fake);
+        await started();
+
+        unmount();
+        const instance = fake.finishLoad();
+
+        await waitFor(() => expect(instance.quit).toBe(true));
+    });
+});